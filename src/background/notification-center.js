@@ -0,0 +1,238 @@
+import { NOTIFICATION_CONFIG, MESSAGE_TYPES } from '../shared/constants/simplified-config.js';
+
+const BUTTON_TITLES = {
+  open: 'Open source tab',
+  reply: 'Reply'
+};
+
+/**
+ * Shows Alice's `notify` messages as Chrome notifications.
+ *
+ * A notification can carry up to two buttons: "Open source tab" focuses
+ * the tab the result is about (or reopens its URL), "Reply" sends a
+ * `notification_action` back to Alice so it can follow up in its own UI.
+ * What each visible notification points at is kept in
+ * chrome.storage.session, since button clicks may wake a fresh worker.
+ */
+export class NotificationCenter {
+  constructor(connectionManager, options = {}) {
+    this.connectionManager = connectionManager;
+    this.config = {
+      storageKey: options.storageKey || NOTIFICATION_CONFIG.STORAGE_KEY,
+      idPrefix: options.idPrefix || NOTIFICATION_CONFIG.ID_PREFIX,
+      maxTracked: options.maxTracked || NOTIFICATION_CONFIG.MAX_TRACKED,
+      iconUrl: options.iconUrl || NOTIFICATION_CONFIG.ICON_URL
+    };
+
+    this.entries = new Map();
+    this.counter = 0;
+    this.loaded = null;
+  }
+
+  isAvailable() {
+    return typeof chrome !== 'undefined' && !!chrome.notifications;
+  }
+
+  ownsNotification(notificationId) {
+    return typeof notificationId === 'string' && notificationId.startsWith(this.config.idPrefix);
+  }
+
+  /**
+   * Display a notify payload. Returns the notification id, or null when
+   * notifications are unavailable.
+   */
+  async show(data) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+    await this.ensureLoaded();
+
+    this.counter++;
+    const notificationId = `${this.config.idPrefix}${Date.now().toString(36)}-${this.counter}`;
+
+    const buttons = [];
+    if (typeof data.tabId === 'number' || data.url) {
+      buttons.push('open');
+    }
+    if (data.replyable !== false) {
+      buttons.push('reply');
+    }
+
+    const notification = {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL(this.config.iconUrl),
+      title: data.title || 'Alice',
+      message: data.message || '',
+      priority: data.priority || 0,
+      requireInteraction: !!data.requireInteraction
+    };
+    if (data.contextMessage) {
+      notification.contextMessage = data.contextMessage;
+    }
+    if (buttons.length > 0) {
+      notification.buttons = buttons.map(button => ({ title: BUTTON_TITLES[button] }));
+    }
+
+    await chrome.notifications.create(notificationId, notification);
+
+    this.entries.set(notificationId, {
+      buttons: buttons,
+      tabId: typeof data.tabId === 'number' ? data.tabId : null,
+      url: data.url || null,
+      actionRequestId: data.actionRequestId || null,
+      createdAt: Date.now()
+    });
+    while (this.entries.size > this.config.maxTracked) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    await this.persist();
+
+    return notificationId;
+  }
+
+  async handleButtonClicked(notificationId, buttonIndex) {
+    const entry = await this.takeEntry(notificationId);
+    if (!entry) {
+      return;
+    }
+
+    switch (entry.buttons[buttonIndex]) {
+      case 'open':
+        await this.openSource(entry);
+        break;
+      case 'reply':
+        await this.sendReply(notificationId, entry);
+        break;
+    }
+  }
+
+  /**
+   * Clicking the notification body behaves like "Open source tab"
+   */
+  async handleClicked(notificationId) {
+    const entry = await this.takeEntry(notificationId);
+    if (entry && entry.buttons.includes('open')) {
+      await this.openSource(entry);
+    }
+  }
+
+  async handleClosed(notificationId) {
+    if (!this.ownsNotification(notificationId)) {
+      return;
+    }
+    await this.ensureLoaded();
+    if (this.entries.delete(notificationId)) {
+      await this.persist();
+    }
+  }
+
+  async takeEntry(notificationId) {
+    if (!this.ownsNotification(notificationId)) {
+      return null;
+    }
+    await this.ensureLoaded();
+
+    const entry = this.entries.get(notificationId);
+    if (!entry) {
+      return null;
+    }
+
+    this.entries.delete(notificationId);
+    await this.persist();
+    try {
+      await chrome.notifications.clear(notificationId);
+    } catch (error) {
+    }
+    return entry;
+  }
+
+  /**
+   * Focus the source tab, or open its URL again if the tab is gone
+   */
+  async openSource(entry) {
+    if (entry.tabId !== null) {
+      try {
+        const tab = await chrome.tabs.update(entry.tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+        return;
+      } catch (error) {
+      }
+    }
+
+    if (entry.url) {
+      try {
+        await chrome.tabs.create({ url: entry.url });
+      } catch (error) {
+      }
+    }
+  }
+
+  async sendReply(notificationId, entry) {
+    try {
+      await this.connectionManager.send({
+        type: MESSAGE_TYPES.NOTIFICATION_ACTION,
+        data: {
+          action: 'reply',
+          notificationId: notificationId,
+          actionRequestId: entry.actionRequestId,
+          tabId: entry.tabId,
+          url: entry.url
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+    }
+  }
+
+  getStorage() {
+    if (typeof chrome === 'undefined' || !chrome.storage) {
+      return null;
+    }
+    return chrome.storage.session || chrome.storage.local || null;
+  }
+
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = this.loadState();
+    }
+    return this.loaded;
+  }
+
+  async loadState() {
+    const storage = this.getStorage();
+    if (!storage) {
+      return;
+    }
+
+    try {
+      const result = await storage.get([this.config.storageKey]);
+      for (const [id, entry] of Object.entries(result[this.config.storageKey] || {})) {
+        if (!this.entries.has(id)) {
+          this.entries.set(id, entry);
+        }
+      }
+    } catch (error) {
+    }
+  }
+
+  async persist() {
+    const storage = this.getStorage();
+    if (!storage) {
+      return;
+    }
+
+    try {
+      await storage.set({ [this.config.storageKey]: Object.fromEntries(this.entries) });
+    } catch (error) {
+    }
+  }
+}
+
+let notificationCenterInstance = null;
+
+export function getNotificationCenter(connectionManager) {
+  if (!notificationCenterInstance) {
+    notificationCenterInstance = new NotificationCenter(connectionManager);
+  }
+  return notificationCenterInstance;
+}
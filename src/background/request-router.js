@@ -0,0 +1,249 @@
+import { ERROR_CODES } from '../shared/constants/simplified-config.js';
+import { validateValue } from '../shared/types/simplified-schemas.js';
+
+const COMMAND_TYPE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Dispatches Alice's requests to declaratively registered commands through
+ * a middleware chain.
+ *
+ * A command is registered with register(type, definition):
+ *   - handler(context): returns the response data, or sets context.replied
+ *     when it answers by itself (e.g. when streaming)
+ *   - responseType: message type the returned data is sent as; commands
+ *     without one only ever answer with `error` messages
+ *   - tab: resolve the target tab from options.tabId/windowId/urlPattern
+ *     into context.tab before the handler runs
+ *   - allowRestricted: let a tab command run on restricted pages
+ *   - cancellable: whether a `cancel` can abort it (default true)
+ *   - schema: request schema, for commands without one in simplified-schemas.js
+ *
+ * Middleware are async (context, next) functions run in the order they were
+ * added; one that does not call next() ends the request.
+ */
+export class RequestRouter {
+  constructor(options = {}) {
+    this.respond = options.respond;
+    this.sendError = options.sendError;
+    this.commands = new Map();
+    this.middleware = [];
+  }
+
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  register(type, definition) {
+    if (!COMMAND_TYPE_PATTERN.test(type || '')) {
+      throw new Error(`Invalid command type: ${type}`);
+    }
+    if (!definition || typeof definition.handler !== 'function') {
+      throw new Error(`Command ${type} needs a handler`);
+    }
+
+    this.commands.set(type, {
+      responseType: null,
+      tab: false,
+      allowRestricted: false,
+      cancellable: true,
+      schema: null,
+      source: 'background',
+      ...definition,
+      type: type
+    });
+    return this;
+  }
+
+  unregister(type) {
+    return this.commands.delete(type);
+  }
+
+  has(type) {
+    return this.commands.has(type);
+  }
+
+  getCommandTypes() {
+    return [...this.commands.keys()];
+  }
+
+  /**
+   * Run a message through the middleware chain and its command. Returns
+   * false when no command is registered for its type.
+   */
+  async dispatch(message) {
+    const command = this.commands.get(message.type);
+    if (!command) {
+      return false;
+    }
+
+    const context = this.createContext(message, command);
+    const chain = [
+      ...this.middleware,
+      async (ctx) => {
+        const data = await command.handler(ctx);
+        if (!ctx.replied) {
+          ctx.reply(data);
+        }
+      }
+    ];
+
+    const run = (index) => chain[index](context, () => run(index + 1));
+    await run(0);
+    return true;
+  }
+
+  createContext(message, command) {
+    const context = {
+      message: message,
+      command: command,
+      requestId: message.requestId,
+      options: message.options || {},
+      tab: null,
+      inFlight: null,
+      replied: false,
+
+      reply: (data) => {
+        context.replied = true;
+        if (command.responseType) {
+          this.respond(command.responseType, context.requestId, data);
+        }
+      },
+
+      // Request-level failure, sent in the command's own response type
+      fail: (code, errorMessage) => {
+        context.replied = true;
+        if (command.responseType) {
+          this.respond(command.responseType, context.requestId, null, code, errorMessage);
+        } else {
+          this.sendError(code, errorMessage, context.requestId);
+        }
+      },
+
+      // Protocol-level failure (auth, validation), always an `error` message
+      error: (code, errorMessage, field) => {
+        context.replied = true;
+        this.sendError(code, errorMessage, context.requestId, field);
+      }
+    };
+    return context;
+  }
+}
+
+export function timingMiddleware(metrics) {
+  return async (context, next) => {
+    const startedAt = performance.now();
+    try {
+      await next();
+    } finally {
+      metrics.recordHandlerTiming(context.command.type, performance.now() - startedAt);
+    }
+  };
+}
+
+export function authMiddleware(connectionManager) {
+  return async (context, next) => {
+    await connectionManager.waitForHandshake();
+
+    if (!connectionManager.isPeerAuthenticated()) {
+      context.error(ERROR_CODES.AUTH_REQUIRED, 'Peer is not authenticated');
+      return;
+    }
+    await next();
+  };
+}
+
+/**
+ * Check requests against their command's own schema. Built-in types are
+ * validated against simplified-schemas.js by the connection manager as
+ * frames arrive, before any routing.
+ */
+export function validationMiddleware() {
+  return async (context, next) => {
+    const { message, command } = context;
+    const invalid = command.schema ? validateValue(message, command.schema) : null;
+
+    if (invalid) {
+      context.error(
+        ERROR_CODES.INVALID_REQUEST,
+        `Invalid ${message.type} message: ${invalid.message}`,
+        invalid.field
+      );
+      return;
+    }
+    await next();
+  };
+}
+
+/**
+ * Turn anything a later middleware or the handler throws into a reply.
+ * Errors may carry a `code` from ERROR_CODES.
+ */
+export function errorMappingMiddleware() {
+  return async (context, next) => {
+    try {
+      await next();
+    } catch (error) {
+      if (!context.replied) {
+        context.fail(error.code || ERROR_CODES.UNKNOWN_ERROR, error.message);
+      }
+    }
+  };
+}
+
+/**
+ * Register the request in `inFlightRequests` so a `cancel` can abort it
+ */
+export function trackingMiddleware(inFlightRequests) {
+  return async (context, next) => {
+    if (!context.command.cancellable) {
+      await next();
+      return;
+    }
+
+    const controller = new AbortController();
+    const inFlight = {
+      requestId: context.requestId,
+      controller: controller,
+      signal: controller.signal,
+      tabIds: new Set()
+    };
+    context.inFlight = inFlight;
+    inFlightRequests.set(context.requestId, inFlight);
+
+    try {
+      await next();
+    } finally {
+      if (inFlightRequests.get(context.requestId) === inFlight) {
+        inFlightRequests.delete(context.requestId);
+      }
+    }
+  };
+}
+
+/**
+ * Resolve context.tab for commands declared with `tab: true`, refusing
+ * restricted pages unless the command allows them
+ */
+export function tabMiddleware({ resolveTargetTab, isRestrictedPage }) {
+  return async (context, next) => {
+    if (!context.command.tab) {
+      await next();
+      return;
+    }
+
+    const { tab, errorCode, errorMessage } = await resolveTargetTab(context.options);
+    if (!tab) {
+      context.fail(errorCode, errorMessage);
+      return;
+    }
+
+    if (!context.command.allowRestricted && isRestrictedPage(tab.url)) {
+      context.fail(ERROR_CODES.BC_RESTRICTED_PAGE, 'Cannot access restricted page');
+      return;
+    }
+
+    context.tab = tab;
+    await next();
+  };
+}
@@ -0,0 +1,211 @@
+import { KEEPALIVE_CONFIG } from '../shared/constants/simplified-config.js';
+
+/**
+ * Keeps the Alice socket alive across MV3 service-worker evictions.
+ *
+ * A periodic chrome.alarms alarm wakes an evicted worker so the connection
+ * is re-established, and pings a live one so the socket counts as activity.
+ * A heartbeat in chrome.storage.session lets a fresh worker tell that its
+ * predecessor was evicted: a clean suspend clears it, so only a worker that
+ * stopped while connected leaves a recent one behind.
+ */
+export class ServiceWorkerSupervisor {
+  constructor(connectionManager, options = {}) {
+    this.connectionManager = connectionManager;
+    this.config = {
+      alarmName: options.alarmName || KEEPALIVE_CONFIG.ALARM_NAME,
+      alarmPeriodMinutes: options.alarmPeriodMinutes || KEEPALIVE_CONFIG.ALARM_PERIOD_MINUTES,
+      heartbeatInterval: options.heartbeatInterval || KEEPALIVE_CONFIG.HEARTBEAT_INTERVAL,
+      heartbeatGrace: options.heartbeatGrace || KEEPALIVE_CONFIG.HEARTBEAT_GRACE,
+      storageKey: options.storageKey || KEEPALIVE_CONFIG.STORAGE_KEY,
+      maxEvents: options.maxEvents || KEEPALIVE_CONFIG.MAX_EVENTS
+    };
+
+    this.state = {
+      wakeCount: 0,
+      evictionCount: 0,
+      alarmReconnectCount: 0,
+      lastWakeAt: null,
+      lastEvictionAt: null,
+      lastHeartbeat: null,
+      connected: false,
+      events: []
+    };
+    this.heartbeatTimer = null;
+    this.startedAt = Date.now();
+  }
+
+  async start(reason = 'load') {
+    await this.loadState();
+
+    if (this.wasEvicted()) {
+      this.state.evictionCount++;
+      this.state.lastEvictionAt = this.state.lastHeartbeat;
+      this.recordEvent('evict', {
+        at: this.state.lastHeartbeat,
+        wasConnected: this.state.connected
+      });
+    }
+
+    this.state.wakeCount++;
+    this.state.lastWakeAt = this.startedAt;
+    this.recordEvent('wake', { at: this.startedAt, reason: reason });
+
+    await this.ensureAlarm();
+    this.startHeartbeat();
+    await this.heartbeat();
+  }
+
+  /**
+   * Idle shutdowns clear their heartbeat on suspend, and after a reload or
+   * restart the last one is older than a heartbeat period, so only a recent
+   * heartbeat from a connected worker counts as an eviction
+   */
+  wasEvicted() {
+    const { lastHeartbeat, connected } = this.state;
+    if (!lastHeartbeat || !connected) {
+      return false;
+    }
+    return this.startedAt - lastHeartbeat <= this.config.heartbeatInterval + this.config.heartbeatGrace;
+  }
+
+  /**
+   * Clean shutdown: stop the heartbeat and clear it so the next worker does
+   * not count this one as evicted
+   */
+  async suspend() {
+    this.stopHeartbeat();
+    this.state.lastHeartbeat = null;
+    this.state.connected = false;
+    await this.persistState();
+  }
+
+  async ensureAlarm() {
+    if (typeof chrome === 'undefined' || !chrome.alarms) {
+      return;
+    }
+
+    try {
+      const existing = await chrome.alarms.get(this.config.alarmName);
+      if (!existing) {
+        await chrome.alarms.create(this.config.alarmName, {
+          periodInMinutes: this.config.alarmPeriodMinutes
+        });
+      }
+    } catch (error) {
+    }
+  }
+
+  /**
+   * Alarm tick: reconnect if the socket was lost, otherwise ping so the
+   * worker stays active
+   */
+  async handleAlarm(alarm) {
+    if (!alarm || alarm.name !== this.config.alarmName) {
+      return false;
+    }
+
+    const manager = this.connectionManager;
+
+    if (manager.isConnected) {
+      manager.sendPing().catch(error => {
+      });
+    } else if (!manager.isConnecting && !manager.hasScheduledReconnect()) {
+      // A pending reconnect belongs to the reconnect policy; only step in
+      // when nothing is scheduled, as after an eviction
+      this.state.alarmReconnectCount++;
+      this.recordEvent('reconnect', { at: Date.now(), trigger: 'alarm' });
+      manager.reconnectNow().catch(error => {
+      });
+    }
+
+    await this.heartbeat();
+    return true;
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat();
+    }, this.config.heartbeatInterval);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  async heartbeat() {
+    this.state.lastHeartbeat = Date.now();
+    this.state.connected = !!this.connectionManager.isConnected;
+    await this.persistState();
+  }
+
+  recordEvent(type, details = {}) {
+    this.state.events.push({ type, ...details });
+    if (this.state.events.length > this.config.maxEvents) {
+      this.state.events.splice(0, this.state.events.length - this.config.maxEvents);
+    }
+  }
+
+  getStorage() {
+    if (typeof chrome === 'undefined' || !chrome.storage) {
+      return null;
+    }
+    return chrome.storage.session || chrome.storage.local || null;
+  }
+
+  async loadState() {
+    const storage = this.getStorage();
+    if (!storage) {
+      return;
+    }
+
+    try {
+      const result = await storage.get([this.config.storageKey]);
+      if (result[this.config.storageKey]) {
+        this.state = { ...this.state, ...result[this.config.storageKey] };
+      }
+    } catch (error) {
+    }
+  }
+
+  async persistState() {
+    const storage = this.getStorage();
+    if (!storage) {
+      return;
+    }
+
+    try {
+      await storage.set({ [this.config.storageKey]: this.state });
+    } catch (error) {
+    }
+  }
+
+  getStats() {
+    return {
+      wakeCount: this.state.wakeCount,
+      evictionCount: this.state.evictionCount,
+      alarmReconnectCount: this.state.alarmReconnectCount,
+      lastWakeAt: this.state.lastWakeAt,
+      lastEvictionAt: this.state.lastEvictionAt,
+      uptime: Date.now() - this.startedAt,
+      recentEvents: this.state.events.slice(-5)
+    };
+  }
+
+  destroy() {
+    this.stopHeartbeat();
+  }
+}
+
+let supervisorInstance = null;
+
+export function getServiceWorkerSupervisor(connectionManager) {
+  if (!supervisorInstance) {
+    supervisorInstance = new ServiceWorkerSupervisor(connectionManager);
+  }
+  return supervisorInstance;
+}
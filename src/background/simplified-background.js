@@ -2,22 +2,57 @@ import {
   WEBSOCKET_CONFIG,
   BROWSER_CONTEXT_CONFIG,
   LOGGING_CONFIG,
+  LOG_LEVELS,
   MESSAGE_TYPES,
   ERROR_CODES,
   DEFAULT_REQUEST_OPTIONS,
   CONTEXT_MENU_ACTIONS,
+  PROTOCOL_CONFIG,
+  STREAM_CONFIG,
+  COMMAND_CONFIG,
+  ANSWER_OVERLAY_CONFIG,
+  CUSTOM_ACTIONS_CONFIG,
   getCurrentEnvironmentConfig,
 } from "../shared/constants/simplified-config.js";
 
 import { getSimplifiedConnectionManager } from "./websocket/simplified-connection-manager.js";
 import { getMemoryManager } from "../shared/utils/memory-manager.js";
+import { getSemanticChunker } from "../shared/utils/semantic-chunker.js";
+import {
+  requestSchema,
+  validateCommandDescriptor,
+} from "../shared/types/simplified-schemas.js";
+import {
+  RequestRouter,
+  timingMiddleware,
+  authMiddleware,
+  validationMiddleware,
+  trackingMiddleware,
+  errorMappingMiddleware,
+  tabMiddleware,
+} from "./request-router.js";
+import { getServiceWorkerSupervisor } from "./service-worker-supervisor.js";
+import { getNotificationCenter } from "./notification-center.js";
+import {
+  normalizeCustomActions,
+  renderPromptTemplate,
+} from "../shared/utils/custom-actions.js";
+import {
+  normalizeSubprotocols,
+  normalizeEndpoint,
+  orderEndpoints,
+  legacyWebSocketUrl,
+} from "../shared/utils/websocket-url.js";
 
 let connectionManager = null;
+let router = null;
 let memoryManager = null;
+let supervisor = null;
+let notificationCenter = null;
 let environmentConfig = null;
+let pairingToken = null;
+let endpointConfig = null;
 let socket = null;
-let isConnecting = false;
-let messageQueue = [];
 
 let lastErrorLogTime = 0;
 let errorLogThrottle = 5000;
@@ -25,25 +60,48 @@ let recentErrors = new Map();
 let maxErrorHistory = 10;
 let debugMode = false;
 
+// requestId -> { requestId, controller, signal, tabIds } for get_* requests
+// that are still being worked on, so Alice can cancel them
+const inFlightRequests = new Map();
+
+// requestId of a context action -> { tabId } of the overlay showing its
+// answer, mirrored to storage so a restarted worker still routes answers
+const answerRoutes = new Map();
+let answerRoutesLoaded = null;
+
+// User-defined context menu actions from the options page
+let customActions = [];
+
 async function initialize() {
   try {
     environmentConfig = getCurrentEnvironmentConfig();
 
+    endpointConfig = await loadEndpointConfig();
+
     try {
-      const result = await chrome.storage.sync.get([
-        "websocketHost",
-        "websocketPort",
+      const result = await chrome.storage.local.get([
+        "pairingToken",
+        "debugMode",
       ]);
-      if (result.websocketHost && result.websocketPort) {
-        const websocketUrl = `ws://${result.websocketHost}:${result.websocketPort}`;
-        environmentConfig.websocket.url = websocketUrl;
-      }
+      pairingToken = result.pairingToken || null;
+      debugMode = !!result.debugMode;
     } catch (error) {}
 
     memoryManager = getMemoryManager();
-    connectionManager = getSimplifiedConnectionManager(
-      environmentConfig.websocket
-    );
+    connectionManager = getSimplifiedConnectionManager({
+      ...environmentConfig.websocket,
+      endpoints: orderEndpoints(
+        endpointConfig.endpoints,
+        endpointConfig.preferredEndpointId
+      ),
+      failover: endpointConfig.failover,
+      authToken: pairingToken,
+      debugMode: debugMode,
+    });
+
+    notificationCenter = getNotificationCenter(connectionManager);
+    setupRequestRouter();
+    await restoreContentCommands();
 
     connectionManager.on("connected", (socketInstance) => {
       socket = socketInstance;
@@ -85,32 +143,192 @@ async function initialize() {
       }
     });
 
+    connectionManager.on("handshake", (peerInfo) => {
+      if (!peerInfo.compatible) {
+        console.warn(
+          `Alice uses protocol ${peerInfo.protocolVersion}, extension uses ${PROTOCOL_CONFIG.VERSION}`
+        );
+      }
+      if (!peerInfo.authenticated) {
+        console.warn("Alice failed pairing authentication; requests will be refused");
+      }
+      notifyPopupPortsOfStatusChange();
+    });
+
+    connectionManager.on("endpoint-changed", () => {
+      notifyPopupPortsOfStatusChange();
+    });
+
+    connectionManager.on("reconnect-scheduled", () => {
+      notifyPopupPortsOfStatusChange();
+    });
+
     connectionManager.on("disconnected", () => {
       notifyPopupPortsOfStatusChange();
     });
 
     setupEventListeners();
     setupContextMenus();
+    await connectionManager.restoreMessageQueue();
+
+    supervisor = getServiceWorkerSupervisor(connectionManager);
+    await supervisor.start("load");
+
     await connectionManager.connect();
   } catch (error) {
     console.warn("Failed to initialize background script:", error.message);
   }
 }
 
+/**
+ * Load the endpoint list, migrating the single URL (or host/port pair)
+ * stored by earlier versions into a one-entry list
+ */
+async function loadEndpointConfig() {
+  const config = {
+    endpoints: [],
+    preferredEndpointId: null,
+    failover: true,
+  };
+
+  try {
+    const result = await chrome.storage.sync.get([
+      "websocketEndpoints",
+      "preferredEndpointId",
+      "endpointFailover",
+      "websocketUrl",
+      "websocketProtocols",
+      "websocketHost",
+      "websocketPort",
+    ]);
+
+    if (Array.isArray(result.websocketEndpoints)) {
+      result.websocketEndpoints.forEach((endpoint, index) => {
+        try {
+          config.endpoints.push(normalizeEndpoint(endpoint, index));
+        } catch (error) {}
+      });
+    }
+
+    if (config.endpoints.length === 0) {
+      let url = null;
+      if (result.websocketUrl) {
+        url = result.websocketUrl;
+      } else if (result.websocketHost && result.websocketPort) {
+        url = legacyWebSocketUrl(result.websocketHost, result.websocketPort);
+      }
+
+      if (url) {
+        config.endpoints.push(
+          normalizeEndpoint({
+            id: "default",
+            name: "Default",
+            url: url,
+            protocols: normalizeSubprotocols(result.websocketProtocols),
+          })
+        );
+      }
+    }
+
+    config.preferredEndpointId = result.preferredEndpointId || null;
+    config.failover = result.endpointFailover !== false;
+  } catch (error) {}
+
+  if (config.endpoints.length === 0) {
+    config.endpoints.push(
+      normalizeEndpoint({
+        id: "default",
+        name: "Default",
+        url: environmentConfig.websocket.url || WEBSOCKET_CONFIG.URL,
+      })
+    );
+  }
+
+  if (
+    !config.endpoints.some(
+      (endpoint) => endpoint.id === config.preferredEndpointId
+    )
+  ) {
+    config.preferredEndpointId = config.endpoints[0].id;
+  }
+
+  return config;
+}
+
 function setupEventListeners() {
   chrome.runtime.onInstalled.addListener(handleExtensionInstalled);
   chrome.runtime.onStartup.addListener(handleExtensionStartup);
 
+  if (chrome.runtime.onSuspend) {
+    chrome.runtime.onSuspend.addListener(handleExtensionSuspend);
+  }
+
   if (chrome.action && chrome.action.onClicked) {
     chrome.action.onClicked.addListener(handleActionClick);
   }
 
-  chrome.runtime.onMessage.addListener(handleMessageFromPopup);
+  chrome.runtime.onMessage.addListener(handleRuntimeMessage);
   chrome.runtime.onConnect.addListener(handleConnectionFromPopup);
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (
+      areaName === CUSTOM_ACTIONS_CONFIG.STORAGE_AREA &&
+      changes[CUSTOM_ACTIONS_CONFIG.STORAGE_KEY]
+    ) {
+      setupContextMenus();
+    }
+  });
   
   if (chrome.contextMenus && chrome.contextMenus.onClicked) {
     chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
   }
+
+  if (chrome.commands && chrome.commands.onCommand) {
+    chrome.commands.onCommand.addListener(handleCommand);
+  }
+
+  if (chrome.notifications) {
+    chrome.notifications.onButtonClicked.addListener((id, buttonIndex) =>
+      notificationCenter.handleButtonClicked(id, buttonIndex)
+    );
+    chrome.notifications.onClicked.addListener((id) =>
+      notificationCenter.handleClicked(id)
+    );
+    chrome.notifications.onClosed.addListener((id) =>
+      notificationCenter.handleClosed(id)
+    );
+  }
+
+  self.addEventListener("online", () => handleConnectivityRegained("online"));
+
+  if (chrome.idle && chrome.idle.onStateChanged) {
+    chrome.idle.onStateChanged.addListener((state) => {
+      if (state === "active") {
+        handleConnectivityRegained("idle-active");
+      }
+    });
+  }
+}
+
+/**
+ * Network or user activity came back: skip the remaining backoff (and any
+ * open circuit breaker) instead of waiting for the next scheduled attempt
+ */
+function handleConnectivityRegained(trigger) {
+  if (
+    !connectionManager ||
+    connectionManager.isConnected ||
+    !connectionManager.config.autoReconnect
+  ) {
+    return;
+  }
+
+  if (supervisor) {
+    supervisor.recordEvent("reconnect", { at: Date.now(), trigger: trigger });
+  }
+
+  connectionManager.reconnectNow().catch((error) => {});
+  notifyPopupPortsOfStatusChange();
 }
 
 function handleExtensionInstalled(details) {
@@ -122,349 +340,973 @@ async function handleExtensionStartup() {
   await connectionManager.connect();
 }
 
+async function handleExtensionSuspend() {
+  if (supervisor) {
+    await supervisor.suspend();
+  }
+}
+
 async function handleActionClick(tab) {
   try {
     await connectionManager.connect();
   } catch (error) {}
 }
 
-function connectWebSocket() {
-  if (socket && socket.readyState === WebSocket.OPEN) {
-    return Promise.resolve(socket);
+/**
+ * Pings, pongs and the handshake are answered by the connection manager;
+ * everything else Alice sends ends up here
+ */
+async function handleWebSocketMessage(message) {
+  if (message.type === MESSAGE_TYPES.ERROR) {
+    connectionManager.metrics.recordError(message.code);
+    console.warn("Alice reported an error:", message.code, message.message);
+    return;
   }
 
-  if (isConnecting) {
-    return new Promise((resolve) => {
-      const checkConnection = () => {
-        if (socket && socket.readyState === WebSocket.OPEN) {
-          resolve(socket);
-        } else if (!isConnecting) {
-          resolve(connectWebSocket());
-        } else {
-          setTimeout(checkConnection, 100);
-        }
-      };
-      checkConnection();
-    });
+  if (await router.dispatch(message)) {
+    return;
   }
 
-  return new Promise((resolve, reject) => {
-    isConnecting = true;
-    const wsUrl = environmentConfig.websocket.url || WEBSOCKET_CONFIG.URL;
+  sendErrorResponse(
+    MESSAGE_TYPES.ERROR,
+    ERROR_CODES.UNSUPPORTED_MESSAGE_TYPE,
+    `Unsupported message type: ${message.type}`,
+    message.requestId
+  );
+}
 
-    try {
-      socket = new WebSocket(wsUrl);
+/**
+ * Build the router for Alice's requests and register the built-in commands.
+ * Tracking wraps error mapping so a cancelled request is still marked as
+ * such while its handler's failure is being mapped (and dropped).
+ */
+function setupRequestRouter() {
+  router = new RequestRouter({
+    respond: sendResponseMessage,
+    sendError: (code, message, requestId, field) =>
+      sendErrorResponse(MESSAGE_TYPES.ERROR, code, message, requestId, field),
+  })
+    .use(timingMiddleware(connectionManager.metrics))
+    .use(authMiddleware(connectionManager))
+    .use(validationMiddleware())
+    .use(trackingMiddleware(inFlightRequests))
+    .use(errorMappingMiddleware())
+    .use(tabMiddleware({ resolveTargetTab, isRestrictedPage }));
+
+  router
+    .register(MESSAGE_TYPES.GET_CONTEXT, {
+      responseType: MESSAGE_TYPES.CONTEXT_RESPONSE,
+      tab: true,
+      handler: handleGetContextCommand,
+    })
+    .register(MESSAGE_TYPES.GET_CONTEXT_BATCH, {
+      responseType: MESSAGE_TYPES.CONTEXT_RESPONSE,
+      handler: handleGetContextBatchCommand,
+    })
+    .register(MESSAGE_TYPES.GET_CONTENT, {
+      responseType: MESSAGE_TYPES.CONTENT_RESPONSE,
+      tab: true,
+      handler: (ctx) =>
+        requestFromContentScript(ctx.tab, "GET_CONTENT", ctx.options, ctx.inFlight),
+    })
+    .register(MESSAGE_TYPES.GET_LINKS, {
+      responseType: MESSAGE_TYPES.LINKS_RESPONSE,
+      tab: true,
+      handler: (ctx) =>
+        requestFromContentScript(ctx.tab, "GET_LINKS", ctx.options, ctx.inFlight),
+    })
+    .register(MESSAGE_TYPES.GET_SELECTION, {
+      responseType: MESSAGE_TYPES.SELECTION_RESPONSE,
+      tab: true,
+      handler: (ctx) =>
+        requestFromContentScript(
+          ctx.tab,
+          "GET_SELECTION",
+          ctx.options,
+          ctx.inFlight
+        ),
+    })
+    .register(MESSAGE_TYPES.GET_METADATA, {
+      responseType: MESSAGE_TYPES.METADATA_RESPONSE,
+      tab: true,
+      handler: (ctx) =>
+        requestFromContentScript(
+          ctx.tab,
+          "GET_METADATA",
+          ctx.options,
+          ctx.inFlight
+        ),
+    })
+    .register(MESSAGE_TYPES.LIST_TABS, {
+      responseType: MESSAGE_TYPES.TABS_RESPONSE,
+      handler: handleListTabsCommand,
+    })
+    .register(MESSAGE_TYPES.CANCEL, {
+      cancellable: false,
+      handler: handleCancelCommand,
+    })
+    .register(MESSAGE_TYPES.NOTIFY, {
+      cancellable: false,
+      handler: handleNotifyCommand,
+    })
+    .register(MESSAGE_TYPES.ANSWER_CHUNK, {
+      cancellable: false,
+      handler: (ctx) =>
+        forwardAnswerToOverlay(ctx, "chunk", ctx.message.data.text),
+    })
+    .register(MESSAGE_TYPES.ANSWER_END, {
+      cancellable: false,
+      handler: (ctx) =>
+        ctx.message.error
+          ? forwardAnswerToOverlay(ctx, "error", null, ctx.message.error.message)
+          : forwardAnswerToOverlay(
+              ctx,
+              "end",
+              ctx.message.data ? ctx.message.data.text : undefined
+            ),
+    });
 
-      socket.addEventListener("open", () => {
-        isConnecting = false;
-        while (messageQueue.length > 0) {
-          const message = messageQueue.shift();
-          socket.send(JSON.stringify(message));
-        }
-        resolve(socket);
-      });
+  connectionManager.config.capabilities = getProtocolCapabilities();
+}
 
-      socket.addEventListener("message", (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          handleWebSocketMessage(message);
-        } catch (error) {}
-      });
+/**
+ * Add commands announced by a content script to the router. They run in
+ * the target tab via RUN_COMMAND; built-in commands cannot be overridden.
+ * Returns the types that were registered.
+ */
+async function registerContentCommands(descriptors, { persist = true } = {}) {
+  const registered = [];
+  let changed = false;
+
+  for (const descriptor of descriptors || []) {
+    const invalid = validateCommandDescriptor(descriptor);
+    if (invalid) {
+      console.warn("Ignoring content command:", invalid.message);
+      continue;
+    }
 
-      socket.addEventListener("error", (error) => {
-        isConnecting = false;
-        reject(error);
-      });
+    const type = descriptor.type;
+    const existing = router.commands.get(type);
+    if (existing && existing.source !== "content") {
+      continue;
+    }
+
+    const responseType =
+      descriptor.responseType || MESSAGE_TYPES.COMMAND_RESPONSE;
+    const options = descriptor.options || {};
 
-      socket.addEventListener("close", () => {
-        isConnecting = false;
-        socket = null;
+    try {
+      router.register(type, {
+        source: "content",
+        tab: true,
+        responseType: responseType,
+        schema: requestSchema(type, options),
+        descriptor: { type, responseType, options },
+        handler: async (ctx) => {
+          const response = await sendContentScriptRequest(
+            ctx.tab,
+            { type: "RUN_COMMAND", command: type, options: ctx.options },
+            ctx.inFlight
+          );
+          return response.data;
+        },
       });
     } catch (error) {
-      isConnecting = false;
-      reject(error);
+      console.warn("Ignoring content command:", error.message);
+      continue;
     }
-  });
-}
-
-async function handleWebSocketMessage(message) {
-  switch (message.type) {
-    case MESSAGE_TYPES.GET_CONTEXT:
-      await handleGetContextRequest(message);
-      break;
-    case MESSAGE_TYPES.GET_CONTENT:
-      await handleGetContentRequest(message);
-      break;
-    case MESSAGE_TYPES.GET_LINKS:
-      await handleGetLinksRequest(message);
-      break;
-    case MESSAGE_TYPES.GET_SELECTION:
-      await handleGetSelectionRequest(message);
-      break;
-    case MESSAGE_TYPES.GET_METADATA:
-      await handleGetMetadataRequest(message);
-      break;
-    case MESSAGE_TYPES.PING:
-      handlePingMessage(message);
-      break;
-  }
-}
-
-async function handleGetContextRequest(message) {
-  const { requestId, options = {} } = message;
-
-  if (!requestId) {
-    sendErrorResponse(
-      MESSAGE_TYPES.ERROR,
-      ERROR_CODES.INVALID_REQUEST,
-      "Request ID is required"
-    );
-    return;
-  }
 
-  try {
-    const activeTab = await getActiveTab();
-
-    if (!activeTab) {
-      sendContextResponse(
-        requestId,
-        null,
-        ERROR_CODES.BC_NO_ACTIVE_TAB,
-        "No active tab found"
-      );
-      return;
+    registered.push(type);
+    if (
+      !existing ||
+      JSON.stringify(existing.descriptor) !==
+        JSON.stringify(router.commands.get(type).descriptor)
+    ) {
+      changed = true;
     }
+  }
 
-    if (isRestrictedPage(activeTab.url)) {
-      sendContextResponse(
-        requestId,
-        null,
-        ERROR_CODES.BC_RESTRICTED_PAGE,
-        "Cannot access restricted page"
-      );
-      return;
-    }
+  if (!changed) {
+    return registered;
+  }
 
-    const context = await getBrowserContextFromContentScript(
-      activeTab,
-      options
-    );
+  connectionManager.config.capabilities = getProtocolCapabilities();
 
-    sendContextResponse(requestId, context);
-  } catch (error) {
-    sendContextResponse(
-      requestId,
-      null,
-      ERROR_CODES.UNKNOWN_ERROR,
-      error.message
-    );
+  if (persist) {
+    const descriptorsToStore = [...router.commands.values()]
+      .filter((command) => command.source === "content")
+      .map((command) => command.descriptor);
+    try {
+      await getCommandStorage().set({
+        [COMMAND_CONFIG.STORAGE_KEY]: descriptorsToStore,
+      });
+    } catch (error) {}
   }
+
+  return registered;
+}
+
+/**
+ * Re-register content commands announced before the service worker restarted
+ */
+async function restoreContentCommands() {
+  try {
+    const result = await getCommandStorage().get(COMMAND_CONFIG.STORAGE_KEY);
+    await registerContentCommands(result[COMMAND_CONFIG.STORAGE_KEY], {
+      persist: false,
+    });
+  } catch (error) {}
 }
 
-async function handleGetContentRequest(message) {
-  const { requestId, options = {} } = message;
+function getCommandStorage() {
+  return chrome.storage[COMMAND_CONFIG.STORAGE_AREA] || chrome.storage.local;
+}
 
-  if (!requestId) {
-    sendErrorResponse(
-      MESSAGE_TYPES.ERROR,
-      ERROR_CODES.INVALID_REQUEST,
-      "Request ID is required"
-    );
+/**
+ * Abort an in-flight request: stop waiting on the content script, let the
+ * tabs it touched drop their cached result, and answer with CANCELLED.
+ * Anything the aborted handler still tries to send is dropped. Cancelling
+ * a request that already finished is a no-op.
+ */
+function handleCancelCommand(ctx) {
+  ctx.replied = true;
+
+  const inFlight = inFlightRequests.get(ctx.requestId);
+  if (!inFlight || inFlight.signal.aborted) {
     return;
   }
 
-  try {
-    const activeTab = await getActiveTab();
-
-    if (!activeTab) {
-      sendContentResponse(
-        requestId,
-        null,
-        ERROR_CODES.BC_NO_ACTIVE_TAB,
-        "No active tab found"
-      );
-      return;
-    }
+  inFlight.controller.abort();
 
-    if (isRestrictedPage(activeTab.url)) {
-      sendContentResponse(
-        requestId,
-        null,
-        ERROR_CODES.BC_RESTRICTED_PAGE,
-        "Cannot access restricted page"
-      );
-      return;
-    }
+  for (const tabId of inFlight.tabIds) {
+    chrome.tabs
+      .sendMessage(tabId, {
+        type: "CANCEL_REQUEST",
+        requestId: ctx.requestId,
+      })
+      .catch(() => {});
+  }
 
-    const content = await getContentFromContentScript(activeTab, options);
+  sendErrorResponse(
+    MESSAGE_TYPES.ERROR,
+    ERROR_CODES.CANCELLED,
+    "Request cancelled",
+    ctx.requestId
+  );
+}
 
-    sendContentResponse(requestId, content);
-  } catch (error) {
-    sendContentResponse(
-      requestId,
-      null,
-      ERROR_CODES.UNKNOWN_ERROR,
-      error.message
-    );
+/**
+ * Show Alice's result as a browser notification. Only failures are
+ * answered, since Alice does not wait for notify.
+ */
+async function handleNotifyCommand(ctx) {
+  const notificationId = await notificationCenter.show(ctx.message.data);
+  if (!notificationId) {
+    throw new Error("Notifications are not available");
   }
 }
 
-async function handleGetLinksRequest(message) {
-  const { requestId, options = {} } = message;
-
-  if (!requestId) {
-    sendErrorResponse(
-      MESSAGE_TYPES.ERROR,
-      ERROR_CODES.INVALID_REQUEST,
-      "Request ID is required"
-    );
+/**
+ * Pass Alice's streamed answer to the overlay of the tab the action came
+ * from. Answers for an overlay that was closed or replaced have no route
+ * any more and are dropped.
+ */
+async function forwardAnswerToOverlay(ctx, kind, text, error) {
+  await loadAnswerRoutes();
+  const route = answerRoutes.get(ctx.requestId);
+  if (!route) {
     return;
   }
 
-  try {
-    const activeTab = await getActiveTab();
-
-    if (!activeTab) {
-      sendLinksResponse(
-        requestId,
-        null,
-        ERROR_CODES.BC_NO_ACTIVE_TAB,
-        "No active tab found"
-      );
-      return;
-    }
-
-    if (isRestrictedPage(activeTab.url)) {
-      sendLinksResponse(
-        requestId,
-        null,
-        ERROR_CODES.BC_RESTRICTED_PAGE,
-        "Cannot access restricted page"
-      );
-      return;
-    }
+  if (kind !== "chunk") {
+    await deleteAnswerRoutes([ctx.requestId]);
+  }
+  await updateAnswerOverlay(route.tabId, ctx.requestId, kind, text, error);
+}
 
-    const links = await getLinksFromContentScript(activeTab, options);
+async function updateAnswerOverlay(tabId, requestId, kind, text, error) {
+  try {
+    await chrome.tabs.sendMessage(tabId, {
+      type: "ANSWER_OVERLAY_UPDATE",
+      requestId: requestId,
+      kind: kind,
+      text: text,
+      error: error,
+    });
+  } catch (sendError) {}
+}
 
-    sendLinksResponse(requestId, links);
-  } catch (error) {
-    sendLinksResponse(
-      requestId,
-      null,
-      ERROR_CODES.UNKNOWN_ERROR,
-      error.message
-    );
+async function addAnswerRoute(requestId, route) {
+  await loadAnswerRoutes();
+  answerRoutes.set(requestId, route);
+  while (answerRoutes.size > ANSWER_OVERLAY_CONFIG.MAX_ROUTES) {
+    answerRoutes.delete(answerRoutes.keys().next().value);
   }
+  await persistAnswerRoutes();
 }
 
-async function handleGetSelectionRequest(message) {
-  const { requestId, options = {} } = message;
+async function deleteAnswerRoutes(requestIds) {
+  await loadAnswerRoutes();
+  let changed = false;
+  for (const requestId of requestIds) {
+    changed = answerRoutes.delete(requestId) || changed;
+  }
+  if (changed) {
+    await persistAnswerRoutes();
+  }
+}
 
-  if (!requestId) {
-    sendErrorResponse(
-      MESSAGE_TYPES.ERROR,
-      ERROR_CODES.INVALID_REQUEST,
-      "Request ID is required"
-    );
-    return;
+function loadAnswerRoutes() {
+  if (!answerRoutesLoaded) {
+    answerRoutesLoaded = (async () => {
+      try {
+        const result = await getAnswerRouteStorage().get(
+          ANSWER_OVERLAY_CONFIG.STORAGE_KEY
+        );
+        const stored = result[ANSWER_OVERLAY_CONFIG.STORAGE_KEY] || {};
+        for (const [requestId, route] of Object.entries(stored)) {
+          if (!answerRoutes.has(requestId)) {
+            answerRoutes.set(requestId, route);
+          }
+        }
+      } catch (error) {}
+    })();
   }
+  return answerRoutesLoaded;
+}
 
+async function persistAnswerRoutes() {
   try {
-    const activeTab = await getActiveTab();
-
-    if (!activeTab) {
-      sendSelectionResponse(
-        requestId,
-        null,
-        ERROR_CODES.BC_NO_ACTIVE_TAB,
-        "No active tab found"
-      );
-      return;
-    }
-
-    if (isRestrictedPage(activeTab.url)) {
-      sendSelectionResponse(
-        requestId,
-        null,
-        ERROR_CODES.BC_RESTRICTED_PAGE,
-        "Cannot access restricted page"
-      );
-      return;
-    }
+    await getAnswerRouteStorage().set({
+      [ANSWER_OVERLAY_CONFIG.STORAGE_KEY]: Object.fromEntries(answerRoutes),
+    });
+  } catch (error) {}
+}
 
-    const selection = await getSelectionFromContentScript(activeTab, options);
+function getAnswerRouteStorage() {
+  return chrome.storage.session || chrome.storage.local;
+}
 
-    sendSelectionResponse(requestId, selection);
-  } catch (error) {
-    sendSelectionResponse(
+/**
+ * Send a context action whose answer is shown in the tab's overlay, which
+ * must already have a turn for `requestId`. Alice may answer inline with
+ * `data.answer` in its acknowledgement or stream answer_chunk/answer_end
+ * messages afterwards.
+ */
+async function sendOverlayActionToAlice(requestId, route, data) {
+  await addAnswerRoute(requestId, route);
+
+  const reply = await sendContextActionToAlice(data, requestId);
+  if (!reply) {
+    await deleteAnswerRoutes([requestId]);
+    await updateAnswerOverlay(
+      route.tabId,
       requestId,
+      "error",
       null,
-      ERROR_CODES.UNKNOWN_ERROR,
-      error.message
-    );
-  }
-}
-
-async function handleGetMetadataRequest(message) {
-  const { requestId, options = {} } = message;
-
-  if (!requestId) {
-    sendErrorResponse(
-      MESSAGE_TYPES.ERROR,
-      ERROR_CODES.INVALID_REQUEST,
-      "Request ID is required"
+      "Alice did not respond. Is it running and paired?"
     );
     return;
   }
 
-  try {
-    const activeTab = await getActiveTab();
-
-    if (!activeTab) {
-      sendMetadataResponse(
-        requestId,
-        null,
-        ERROR_CODES.BC_NO_ACTIVE_TAB,
-        "No active tab found"
-      );
-      return;
-    }
-
-    const metadata = await getMetadataFromContentScript(activeTab, options);
-
-    sendMetadataResponse(requestId, metadata);
-  } catch (error) {
-    sendMetadataResponse(
+  if (reply.data && typeof reply.data.answer === "string") {
+    await deleteAnswerRoutes([requestId]);
+    await updateAnswerOverlay(
+      route.tabId,
       requestId,
-      null,
-      ERROR_CODES.UNKNOWN_ERROR,
-      error.message
+      "end",
+      reply.data.answer
     );
   }
 }
 
-async function getActiveTab() {
-  try {
-    const currentWindowTabs = await chrome.tabs.query({
-      active: true,
-      currentWindow: true,
-    });
-
-    if (currentWindowTabs.length > 0) {
-      return currentWindowTabs[0];
-    }
-
-    const allWindowTabs = await chrome.tabs.query({ active: true });
-
-    if (allWindowTabs.length > 0) {
-      return allWindowTabs[0];
+/**
+ * A question typed into an overlay. Answers right away with the requestId
+ * so the overlay can add the turn before Alice starts streaming into it.
+ */
+function handleAnswerFollowUp(message, sender, sendResponse) {
+  const requestId = connectionManager.generateRequestId();
+  sendResponse({ success: true, requestId: requestId });
+
+  sendOverlayActionToAlice(
+    requestId,
+    { tabId: sender.tab.id },
+    {
+      action: message.previousRequestId
+        ? CONTEXT_MENU_ACTIONS.FOLLOW_UP
+        : CONTEXT_MENU_ACTIONS.ASK,
+      question: message.question,
+      previousRequestId: message.previousRequestId || undefined,
+      selectedText: message.selectedText || undefined,
+      url: sender.tab.url,
+      title: sender.tab.title,
+      tabId: sender.tab.id,
+      timestamp: new Date().toISOString(),
     }
+  );
+}
 
-    return null;
-  } catch (error) {
-    return null;
+/**
+ * Settle with the promise, or reject as soon as the request is cancelled
+ */
+function abortable(promise, inFlight) {
+  if (!inFlight) {
+    return promise;
+  }
+  if (inFlight.signal.aborted) {
+    return Promise.reject(new Error("Request cancelled"));
   }
-}
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new Error("Request cancelled"));
+    inFlight.signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      inFlight.signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+/**
+ * Message types and request options advertised to Alice in the handshake
+ */
+function getProtocolCapabilities() {
+  return {
+    messageTypes: [
+      ...router.getCommandTypes(),
+      MESSAGE_TYPES.CONTEXT_ACTION,
+      MESSAGE_TYPES.PING,
+    ],
+    options: [
+      ...Object.keys(DEFAULT_REQUEST_OPTIONS),
+      "tabId",
+      "windowId",
+      "urlPattern",
+      "tabIds",
+      "concurrency",
+      "stream",
+      "chunkSize",
+    ],
+  };
+}
+
+async function handleGetContextCommand(ctx) {
+  if (ctx.options.stream) {
+    if (ctx.inFlight) {
+      ctx.inFlight.tabIds.add(ctx.tab.id);
+    }
+    await ensureContentScript(ctx.tab);
+
+    ctx.replied = true;
+    await streamContextResponse(
+      ctx.tab,
+      ctx.requestId,
+      ctx.options,
+      ctx.inFlight
+    );
+    return;
+  }
+
+  return await getBrowserContextFromContentScript(
+    ctx.tab,
+    ctx.options,
+    ctx.inFlight
+  );
+}
+
+/**
+ * Stream the page content as context_chunk messages while the content
+ * script is still extracting it, then send the structured blocks (if
+ * any) the same way and finish with a context_end carrying the rest of
+ * the context. Each chunk waits for the socket buffer to drain so a long
+ * page never goes out as one huge frame.
+ */
+async function streamContextResponse(tab, requestId, options, inFlight) {
+  const chunkSize =
+    Number(options.chunkSize) > 0
+      ? Number(options.chunkSize)
+      : STREAM_CONFIG.CHUNK_SIZE;
+  const chunkOptions = {
+    maxSize: chunkSize,
+    targetSize: chunkSize,
+    minSize: Math.min(STREAM_CONFIG.MIN_CHUNK_SIZE, Math.floor(chunkSize / 2)),
+    overlap: 0,
+    // Boundary-based chunks carry character offsets into the page text,
+    // and lossless ones are exactly the text between them
+    preserveStructure: false,
+    includeMetadata: false,
+    lossless: true,
+  };
+
+  const port = chrome.tabs.connect(tab.id, {
+    name: "context-stream",
+    frameId: 0,
+  });
+  const reader = createPortReader(
+    port,
+    BROWSER_CONTEXT_CONFIG.CONTENT_SCRIPT_TIMEOUT
+  );
+
+  // Text received but not sent yet, and its offset in the page content
+  let pending = "";
+  let pendingOffset = 0;
+  let sequence = 0;
+
+  const sendChunk = async (data) => {
+    if (inFlight && inFlight.signal.aborted) {
+      throw new Error("Request cancelled");
+    }
+    await connectionManager.waitForDrain();
+    await sendWebSocketMessage({
+      type: MESSAGE_TYPES.CONTEXT_CHUNK,
+      requestId: requestId,
+      sequence: sequence,
+      data: data,
+      timestamp: new Date().toISOString(),
+    });
+    sequence++;
+  };
+
+  // Until the content is complete the last chunk is held back, since the
+  // next piece of text may move its boundary
+  const sendPendingText = async (final) => {
+    const chunks = getSemanticChunker().chunkText(pending, chunkOptions);
+    const ready = final ? chunks : chunks.slice(0, -1);
+
+    for (const chunk of ready) {
+      await sendChunk({
+        text: chunk.text,
+        startIndex: pendingOffset + chunk.startIndex,
+        endIndex: pendingOffset + chunk.endIndex,
+      });
+    }
+
+    if (!final && ready.length > 0) {
+      const consumed = chunks[chunks.length - 1].startIndex;
+      pending = pending.substring(consumed);
+      pendingOffset += consumed;
+    }
+  };
+
+  try {
+    port.postMessage({
+      ...DEFAULT_REQUEST_OPTIONS,
+      ...options,
+      requestId: requestId,
+    });
+
+    let rest = null;
+    while (!rest) {
+      const message = await abortable(reader.next(), inFlight);
+      if (message.type === "text") {
+        pending += message.text;
+        if (pending.length >= chunkSize * 2) {
+          await sendPendingText(false);
+        }
+      } else if (message.type === "end") {
+        rest = message.context;
+      } else {
+        throw new Error(message.error || "Failed to get browser context");
+      }
+    }
+    await sendPendingText(true);
+
+    const data = {
+      ...rest,
+      contentLength: pendingOffset + pending.length,
+    };
+    if (rest.structuredContent) {
+      data.structuredContent = await sendStructuredBlocks(
+        rest.structuredContent,
+        chunkSize,
+        sendChunk
+      );
+    }
+
+    sendContextEnd(requestId, sequence, data);
+  } catch (error) {
+    sendContextEnd(
+      requestId,
+      sequence,
+      null,
+      ERROR_CODES.WS_STREAM_ABORTED,
+      error.message
+    );
+  } finally {
+    reader.close();
+    port.disconnect();
+  }
+}
+
+/**
+ * Send structured blocks as context_chunk messages of about `chunkSize`
+ * characters of JSON each, with `blockIndex` giving the first block's
+ * position. Returns what is left for context_end: the outline and counts,
+ * since the per-type arrays can be rebuilt from the blocks.
+ */
+async function sendStructuredBlocks(structuredContent, chunkSize, sendChunk) {
+  const { blocks, title, outline, truncated } = structuredContent;
+  let batch = [];
+  let batchSize = 0;
+  let blockIndex = 0;
+
+  for (const block of blocks) {
+    const size = JSON.stringify(block).length;
+    if (batch.length > 0 && batchSize + size > chunkSize) {
+      await sendChunk({ blocks: batch, blockIndex: blockIndex });
+      blockIndex += batch.length;
+      batch = [];
+      batchSize = 0;
+    }
+    batch.push(block);
+    batchSize += size;
+  }
+  if (batch.length > 0) {
+    await sendChunk({ blocks: batch, blockIndex: blockIndex });
+  }
+
+  return {
+    title: title,
+    outline: outline,
+    truncated: truncated,
+    blockCount: blocks.length,
+  };
+}
+
+/**
+ * Read a runtime port's messages in order with `await reader.next()`,
+ * which rejects once the port disconnects or stays silent for
+ * `idleTimeout` ms
+ */
+function createPortReader(port, idleTimeout) {
+  const queue = [];
+  let waiting = null;
+  let closedError = null;
+
+  const settle = (error, message) => {
+    const current = waiting;
+    waiting = null;
+    clearTimeout(current.timer);
+    if (error) {
+      current.reject(error);
+    } else {
+      current.resolve(message);
+    }
+  };
+
+  port.onMessage.addListener((message) => {
+    if (waiting) {
+      settle(null, message);
+    } else {
+      queue.push(message);
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    closedError = new Error(
+      chrome.runtime.lastError?.message || "Content script disconnected"
+    );
+    if (waiting) {
+      settle(closedError);
+    }
+  });
+
+  return {
+    next() {
+      if (queue.length > 0) {
+        return Promise.resolve(queue.shift());
+      }
+      if (closedError) {
+        return Promise.reject(closedError);
+      }
+      return new Promise((resolve, reject) => {
+        waiting = {
+          resolve: resolve,
+          reject: reject,
+          timer: setTimeout(() => {
+            settle(new Error("Content script timeout"));
+          }, idleTimeout),
+        };
+      });
+    },
+
+    close() {
+      closedError = closedError || new Error("Port closed");
+      if (waiting) {
+        settle(closedError);
+      }
+    },
+  };
+}
+
+async function handleGetContextBatchCommand(ctx) {
+  const { tabIds, windowId, concurrency, ...extractOptions } = ctx.options;
+
+  let tabs;
+  if (tabIds) {
+    tabs = await Promise.all(
+      tabIds.map((tabId) =>
+        chrome.tabs
+          .get(Number(tabId))
+          .catch(() => ({ id: tabId, missing: true }))
+      )
+    );
+  } else {
+    tabs = await chrome.tabs.query(
+      windowId !== undefined && windowId !== null
+        ? { windowId }
+        : { currentWindow: true }
+    );
+  }
+
+  const omittedTabIds = tabs
+    .slice(BROWSER_CONTEXT_CONFIG.BATCH_MAX_TABS)
+    .map((tab) => tab.id);
+  tabs = tabs.slice(0, BROWSER_CONTEXT_CONFIG.BATCH_MAX_TABS);
+
+  const results = await runWithConcurrency(
+    tabs,
+    Math.min(
+      Math.max(1, concurrency || BROWSER_CONTEXT_CONFIG.BATCH_CONCURRENCY),
+      BROWSER_CONTEXT_CONFIG.BATCH_MAX_CONCURRENCY
+    ),
+    (tab) => getBatchContextEntry(tab, extractOptions, ctx.inFlight)
+  );
+
+  const errorCount = results.filter((result) => result.error).length;
+
+  const response = {
+    results: results,
+    successCount: results.length - errorCount,
+    errorCount: errorCount,
+  };
+  if (omittedTabIds.length > 0) {
+    response.truncated = true;
+    response.omittedTabIds = omittedTabIds;
+  }
+  return response;
+}
+
+/**
+ * Extract context for one tab of a batch, reporting failures per tab
+ * instead of failing the whole batch
+ */
+async function getBatchContextEntry(tab, options, inFlight) {
+  const entry = {
+    tabId: tab.id,
+    url: tab.url || "",
+    title: tab.title || "",
+    data: null,
+  };
+
+  if (tab.missing) {
+    entry.error = {
+      code: ERROR_CODES.BC_TAB_NOT_FOUND,
+      message: `Tab ${tab.id} not found`,
+    };
+    return entry;
+  }
+
+  if (!tab.url || isRestrictedPage(tab.url)) {
+    entry.error = {
+      code: ERROR_CODES.BC_RESTRICTED_PAGE,
+      message: "Cannot access restricted page",
+    };
+    return entry;
+  }
+
+  if (inFlight && inFlight.signal.aborted) {
+    entry.error = {
+      code: ERROR_CODES.CANCELLED,
+      message: "Request cancelled",
+    };
+    return entry;
+  }
+
+  try {
+    entry.data = await getBrowserContextFromContentScript(
+      tab,
+      options,
+      inFlight
+    );
+  } catch (error) {
+    entry.error = {
+      code: ERROR_CODES.UNKNOWN_ERROR,
+      message: error.message,
+    };
+  }
+
+  return entry;
+}
+
+/**
+ * Map items through an async worker with at most `limit` running at once,
+ * preserving input order in the result
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index]);
+      }
+    }
+  );
+
+  await Promise.all(runners);
+  return results;
+}
+
+async function handleListTabsCommand(ctx) {
+  const { options } = ctx;
+  const query = {};
+  if (options.windowId !== undefined && options.windowId !== null) {
+    query.windowId = options.windowId;
+  }
+
+  let tabs = await chrome.tabs.query(query);
+
+  if (options.urlPattern) {
+    tabs = tabs.filter(
+      (tab) => tab.url && matchesUrlPattern(tab.url, options.urlPattern)
+    );
+  }
+
+  return {
+    tabs: tabs.map((tab) => ({
+      id: tab.id,
+      windowId: tab.windowId,
+      title: tab.title || "",
+      url: tab.url || "",
+      favicon: tab.favIconUrl || "",
+      audible: !!tab.audible,
+      pinned: !!tab.pinned,
+      active: !!tab.active,
+      lastAccessed: tab.lastAccessed || null,
+      isRestricted: !tab.url || isRestrictedPage(tab.url),
+    })),
+    count: tabs.length,
+  };
+}
+
+async function getActiveTab() {
+  try {
+    const currentWindowTabs = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+
+    if (currentWindowTabs.length > 0) {
+      return currentWindowTabs[0];
+    }
+
+    const allWindowTabs = await chrome.tabs.query({ active: true });
+
+    if (allWindowTabs.length > 0) {
+      return allWindowTabs[0];
+    }
+
+    return null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the tab a get_* request targets. Selectors are checked in order
+ * of specificity: tabId, then urlPattern (optionally scoped to windowId),
+ * then the active tab of windowId, and finally the focused active tab.
+ */
+async function resolveTargetTab(options = {}) {
+  const { tabId, windowId, urlPattern } = options;
+
+  try {
+    if (tabId !== undefined && tabId !== null) {
+      let tab = null;
+      try {
+        tab = await chrome.tabs.get(Number(tabId));
+      } catch (error) {}
+
+      if (!tab || (windowId !== undefined && tab.windowId !== windowId)) {
+        return {
+          tab: null,
+          errorCode: ERROR_CODES.BC_TAB_NOT_FOUND,
+          errorMessage: `Tab ${tabId} not found`,
+        };
+      }
+      return { tab };
+    }
+
+    if (urlPattern) {
+      const query = windowId !== undefined ? { windowId } : {};
+      const tabs = (await chrome.tabs.query(query)).filter(
+        (tab) => tab.url && matchesUrlPattern(tab.url, urlPattern)
+      );
+
+      if (tabs.length === 0) {
+        return {
+          tab: null,
+          errorCode: ERROR_CODES.BC_TAB_NOT_FOUND,
+          errorMessage: `No tab matches URL pattern "${urlPattern}"`,
+        };
+      }
+
+      // Prefer the active match, then the most recently used one
+      tabs.sort(
+        (a, b) =>
+          Number(b.active) - Number(a.active) ||
+          (b.lastAccessed || 0) - (a.lastAccessed || 0)
+      );
+      return { tab: tabs[0] };
+    }
+
+    if (windowId !== undefined && windowId !== null) {
+      let tabs = [];
+      try {
+        tabs = await chrome.tabs.query({ active: true, windowId });
+      } catch (error) {}
+
+      if (tabs.length === 0) {
+        return {
+          tab: null,
+          errorCode: ERROR_CODES.BC_WINDOW_NOT_FOUND,
+          errorMessage: `Window ${windowId} not found`,
+        };
+      }
+      return { tab: tabs[0] };
+    }
+  } catch (error) {
+    return {
+      tab: null,
+      errorCode: ERROR_CODES.UNKNOWN_ERROR,
+      errorMessage: error.message,
+    };
+  }
+
+  const activeTab = await getActiveTab();
+  if (!activeTab) {
+    return {
+      tab: null,
+      errorCode: ERROR_CODES.BC_NO_ACTIVE_TAB,
+      errorMessage: "No active tab found",
+    };
+  }
+  return { tab: activeTab };
+}
+
+/**
+ * Match a URL against a glob pattern where "*" matches any run of characters
+ */
+function matchesUrlPattern(url, pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "i").test(url);
+}
 
 function isRestrictedPage(url) {
   return BROWSER_CONTEXT_CONFIG.RESTRICTED_PROTOCOLS.some((protocol) =>
@@ -491,77 +1333,92 @@ async function isContentScriptReady(tab) {
   }
 }
 
-async function getBrowserContextFromContentScript(tab, options) {
-  try {
-    const scriptReady = await isContentScriptReady(tab);
+/**
+ * Make sure the tab's content script answers, injecting it if needed
+ */
+async function ensureContentScript(tab) {
+  const scriptReady = await isContentScriptReady(tab);
 
-    if (!scriptReady) {
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ["src/content/simplified-content.js"],
-        });
+  if (!scriptReady) {
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ["src/content/simplified-content.js"],
+      });
 
-        await new Promise((resolve) => setTimeout(resolve, 1000));
+      await new Promise((resolve) => setTimeout(resolve, 1000));
 
-        const readyAfterInjection = await isContentScriptReady(tab);
-        if (!readyAfterInjection) {
-          throw new Error(
-            "Content script not ready after injection. Please refresh the page."
-          );
-        }
-      } catch (injectError) {
+      const readyAfterInjection = await isContentScriptReady(tab);
+      if (!readyAfterInjection) {
         throw new Error(
-          `Content script injection failed: ${injectError.message}`
+          "Content script not ready after injection. Please refresh the page."
         );
       }
+    } catch (injectError) {
+      throw new Error(
+        `Content script injection failed: ${injectError.message}`
+      );
     }
+  }
 
+  try {
+    await Promise.race([
+      chrome.tabs.sendMessage(tab.id, { type: "PING" }),
+      new Promise((_, reject) =>
+        setTimeout(
+          () => reject(new Error("PING timeout after 3 seconds")),
+          3000
+        )
+      ),
+    ]);
+  } catch (pingError) {
     try {
-      await Promise.race([
-        chrome.tabs.sendMessage(tab.id, { type: "PING" }),
-        new Promise((_, reject) =>
-          setTimeout(
-            () => reject(new Error("PING timeout after 3 seconds")),
-            3000
-          )
-        ),
-      ]);
-    } catch (pingError) {
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ["src/content/simplified-content.js"],
-        });
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ["src/content/simplified-content.js"],
+      });
 
-        await new Promise((resolve) => setTimeout(resolve, 500));
+      await new Promise((resolve) => setTimeout(resolve, 500));
 
-        await chrome.tabs.sendMessage(tab.id, { type: "PING" });
-      } catch (injectError) {
-        throw new Error(
-          `Content script not available. Injection failed: ${injectError.message}. Please refresh the page to ensure the content script is properly injected.`
-        );
-      }
+      await chrome.tabs.sendMessage(tab.id, { type: "PING" });
+    } catch (injectError) {
+      throw new Error(
+        `Content script not available. Injection failed: ${injectError.message}. Please refresh the page to ensure the content script is properly injected.`
+      );
     }
+  }
+}
+
+async function getBrowserContextFromContentScript(tab, options, inFlight) {
+  if (inFlight) {
+    inFlight.tabIds.add(tab.id);
+  }
+
+  try {
+    await ensureContentScript(tab);
 
     const request = {
       type: "GET_SIMPLIFIED_CONTEXT",
       ...DEFAULT_REQUEST_OPTIONS,
       ...options,
+      requestId: inFlight ? inFlight.requestId : undefined,
     };
 
     let timeoutId;
-    const response = await Promise.race([
-      chrome.tabs.sendMessage(tab.id, request).then((result) => {
-        clearTimeout(timeoutId);
-        return result;
-      }),
-      new Promise((_, reject) => {
-        timeoutId = setTimeout(() => {
-          reject(new Error("Content script timeout"));
-        }, BROWSER_CONTEXT_CONFIG.CONTENT_SCRIPT_TIMEOUT);
-      }),
-    ]);
+    const response = await abortable(
+      Promise.race([
+        chrome.tabs.sendMessage(tab.id, request).then((result) => {
+          clearTimeout(timeoutId);
+          return result;
+        }),
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(() => {
+            reject(new Error("Content script timeout"));
+          }, BROWSER_CONTEXT_CONFIG.CONTENT_SCRIPT_TIMEOUT);
+        }),
+      ]),
+      inFlight
+    );
 
     if (response && response.success) {
       return response.data;
@@ -573,51 +1430,23 @@ async function getBrowserContextFromContentScript(tab, options) {
   }
 }
 
-async function getContentFromContentScript(tab, options) {
+async function requestFromContentScript(tab, type, options, inFlight) {
   const request = {
-    type: "GET_CONTENT",
-    ...DEFAULT_REQUEST_OPTIONS,
-    ...options,
-  };
-
-  const response = await sendContentScriptRequest(tab, request);
-  return response.data;
-}
-
-async function getLinksFromContentScript(tab, options) {
-  const request = {
-    type: "GET_LINKS",
-    ...DEFAULT_REQUEST_OPTIONS,
-    ...options,
-  };
-
-  const response = await sendContentScriptRequest(tab, request);
-  return response.data;
-}
-
-async function getSelectionFromContentScript(tab, options) {
-  const request = {
-    type: "GET_SELECTION",
+    type: type,
     ...DEFAULT_REQUEST_OPTIONS,
     ...options,
   };
 
-  const response = await sendContentScriptRequest(tab, request);
+  const response = await sendContentScriptRequest(tab, request, inFlight);
   return response.data;
 }
 
-async function getMetadataFromContentScript(tab, options) {
-  const request = {
-    type: "GET_METADATA",
-    ...DEFAULT_REQUEST_OPTIONS,
-    ...options,
-  };
-
-  const response = await sendContentScriptRequest(tab, request);
-  return response.data;
-}
+async function sendContentScriptRequest(tab, request, inFlight) {
+  if (inFlight) {
+    inFlight.tabIds.add(tab.id);
+    request.requestId = inFlight.requestId;
+  }
 
-async function sendContentScriptRequest(tab, request) {
   try {
     try {
       await chrome.tabs.sendMessage(tab.id, { type: "PING" });
@@ -627,15 +1456,18 @@ async function sendContentScriptRequest(tab, request) {
       );
     }
 
-    const response = await Promise.race([
-      chrome.tabs.sendMessage(tab.id, request),
-      new Promise((_, reject) =>
-        setTimeout(
-          () => reject(new Error("Content script timeout")),
-          BROWSER_CONTEXT_CONFIG.CONTENT_SCRIPT_TIMEOUT
-        )
-      ),
-    ]);
+    const response = await abortable(
+      Promise.race([
+        chrome.tabs.sendMessage(tab.id, request),
+        new Promise((_, reject) =>
+          setTimeout(
+            () => reject(new Error("Content script timeout")),
+            BROWSER_CONTEXT_CONFIG.CONTENT_SCRIPT_TIMEOUT
+          )
+        ),
+      ]),
+      inFlight
+    );
 
     if (response && response.success) {
       return response;
@@ -649,18 +1481,13 @@ async function sendContentScriptRequest(tab, request) {
   }
 }
 
-function handlePingMessage(message) {
-  const response = {
-    type: MESSAGE_TYPES.PONG,
-    timestamp: Date.now(),
-  };
-
-  sendWebSocketMessage(response);
-}
-
-function sendContextResponse(requestId, data, errorCode, errorMessage) {
+/**
+ * Answer a request with its response type, attaching an error when the
+ * request failed
+ */
+function sendResponseMessage(type, requestId, data, errorCode, errorMessage) {
   const response = {
-    type: MESSAGE_TYPES.CONTEXT_RESPONSE,
+    type: type,
     requestId: requestId,
     data: data,
     timestamp: new Date().toISOString(),
@@ -676,10 +1503,11 @@ function sendContextResponse(requestId, data, errorCode, errorMessage) {
   sendWebSocketMessage(response);
 }
 
-function sendContentResponse(requestId, data, errorCode, errorMessage) {
+function sendContextEnd(requestId, chunkCount, data, errorCode, errorMessage) {
   const response = {
-    type: MESSAGE_TYPES.CONTENT_RESPONSE,
+    type: MESSAGE_TYPES.CONTEXT_END,
     requestId: requestId,
+    chunkCount: chunkCount,
     data: data,
     timestamp: new Date().toISOString(),
   };
@@ -694,203 +1522,663 @@ function sendContentResponse(requestId, data, errorCode, errorMessage) {
   sendWebSocketMessage(response);
 }
 
-function sendLinksResponse(requestId, data, errorCode, errorMessage) {
+function sendErrorResponse(type, code, message, requestId, field) {
   const response = {
-    type: MESSAGE_TYPES.LINKS_RESPONSE,
-    requestId: requestId,
-    data: data,
+    type: type,
+    code: code,
+    message: message,
     timestamp: new Date().toISOString(),
   };
 
-  if (errorCode || errorMessage) {
-    response.error = {
-      code: errorCode || ERROR_CODES.UNKNOWN_ERROR,
-      message: errorMessage || "Unknown error",
+  if (requestId) {
+    response.requestId = requestId;
+  }
+
+  if (field) {
+    response.field = field;
+  }
+
+  sendWebSocketMessage(response);
+}
+
+/**
+ * Send through the connection manager, which keeps the message in its
+ * persistent queue while Alice is unreachable
+ */
+async function sendWebSocketMessage(message) {
+  if (!connectionManager) {
+    return;
+  }
+
+  // A cancelled request was already answered with CANCELLED
+  const inFlight = inFlightRequests.get(message.requestId);
+  if (
+    inFlight &&
+    inFlight.signal.aborted &&
+    message.code !== ERROR_CODES.CANCELLED
+  ) {
+    return;
+  }
+
+  const errorCode = message.error
+    ? message.error.code
+    : message.type === MESSAGE_TYPES.ERROR
+      ? message.code
+      : null;
+  if (errorCode) {
+    connectionManager.metrics.recordError(errorCode);
+  }
+
+  try {
+    await connectionManager.send(message);
+  } catch (error) {}
+}
+
+async function loadCustomActions() {
+  try {
+    const result = await chrome.storage[CUSTOM_ACTIONS_CONFIG.STORAGE_AREA].get(
+      [CUSTOM_ACTIONS_CONFIG.STORAGE_KEY]
+    );
+    customActions = normalizeCustomActions(
+      result[CUSTOM_ACTIONS_CONFIG.STORAGE_KEY]
+    );
+  } catch (error) {
+    customActions = [];
+  }
+  return customActions;
+}
+
+async function setupContextMenus() {
+  try {
+    if (!chrome.contextMenus) {
+      return;
+    }
+
+    await loadCustomActions();
+    const parentContexts = [
+      ...new Set([
+        "selection",
+        "link",
+        "image",
+        "page",
+        ...customActions.flatMap((action) => action.contexts),
+      ]),
+    ];
+    
+    chrome.contextMenus.removeAll(() => {
+      if (chrome.runtime.lastError) {
+        console.warn('Error removing existing context menus:', chrome.runtime.lastError);
+      }
+
+      try {
+        chrome.contextMenus.create({
+          id: 'alice-parent',
+          title: 'Alice',
+          contexts: parentContexts,
+          documentUrlPatterns: ['http://*/*', 'https://*/*']
+        }, () => {
+          if (chrome.runtime.lastError) {
+            console.warn('Error creating parent menu:', chrome.runtime.lastError);
+            return;
+          }
+
+          chrome.contextMenus.create({
+            id: 'alice-fact-check',
+            parentId: 'alice-parent',
+            title: 'Fact check this',
+            contexts: ['selection'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*']
+          });
+
+          chrome.contextMenus.create({
+            id: 'alice-summarize',
+            parentId: 'alice-parent',
+            title: 'Summarize this',
+            contexts: ['selection'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*']
+          });
+
+          chrome.contextMenus.create({
+            id: 'alice-tell-more',
+            parentId: 'alice-parent',
+            title: 'Tell me more about it',
+            contexts: ['selection'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*']
+          });
+
+          chrome.contextMenus.create({
+            id: 'alice-summarize-link',
+            parentId: 'alice-parent',
+            title: 'Summarize linked page',
+            contexts: ['link'],
+            targetUrlPatterns: ['http://*/*', 'https://*/*'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*']
+          });
+
+          chrome.contextMenus.create({
+            id: 'alice-describe-image',
+            parentId: 'alice-parent',
+            title: 'Describe this image',
+            contexts: ['image'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*']
+          });
+
+          chrome.contextMenus.create({
+            id: 'alice-summarize-page',
+            parentId: 'alice-parent',
+            title: 'Summarize this page',
+            contexts: ['page'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*']
+          });
+
+          if (customActions.length > 0) {
+            chrome.contextMenus.create({
+              id: 'alice-custom-separator',
+              parentId: 'alice-parent',
+              type: 'separator',
+              contexts: parentContexts,
+              documentUrlPatterns: ['http://*/*', 'https://*/*']
+            });
+          }
+
+          for (const action of customActions) {
+            chrome.contextMenus.create({
+              id: CUSTOM_ACTIONS_CONFIG.MENU_ID_PREFIX + action.id,
+              parentId: 'alice-parent',
+              title: action.title,
+              contexts: action.contexts,
+              documentUrlPatterns: ['http://*/*', 'https://*/*']
+            });
+          }
+        });
+        
+      } catch (createError) {
+        console.warn('Error during context menu creation:', createError);
+      }
+    });
+  } catch (error) {
+    console.warn('Failed to setup context menus:', error);
+  }
+}
+
+async function handleContextMenuClick(info, tab) {
+  try {
+    const menuItemId = String(info.menuItemId);
+    if (menuItemId.startsWith(CUSTOM_ACTIONS_CONFIG.MENU_ID_PREFIX)) {
+      await handleCustomActionClick(
+        menuItemId.slice(CUSTOM_ACTIONS_CONFIG.MENU_ID_PREFIX.length),
+        info,
+        tab
+      );
+      return;
+    }
+
+    switch (menuItemId) {
+      case 'alice-summarize-link':
+        await handleLinkActionClick(info, tab);
+        return;
+      case 'alice-describe-image':
+        await handleImageActionClick(info, tab);
+        return;
+      case 'alice-summarize-page':
+        await handlePageActionClick(tab);
+        return;
+    }
+
+    if (!info.selectionText || !info.selectionText.trim()) {
+      return;
+    }
+
+    let action;
+    switch (menuItemId) {
+      case 'alice-fact-check':
+        action = CONTEXT_MENU_ACTIONS.FACT_CHECK;
+        break;
+      case 'alice-summarize':
+        action = CONTEXT_MENU_ACTIONS.SUMMARIZE;
+        break;
+      case 'alice-tell-more':
+        action = CONTEXT_MENU_ACTIONS.TELL_MORE;
+        break;
+      default:
+        return;
+    }
+
+    await sendSelectionAction(
+      tab,
+      action,
+      info.selectionText.trim(),
+      await getSelectionContext(tab, info.frameId)
+    );
+
+  } catch (error) {
+    console.warn('Failed to handle context menu click:', error);
+  }
+}
+
+async function sendSelectionAction(tab, action, selectedText, selectionContext) {
+  const data = {
+    action: action,
+    target: 'selection',
+    selectedText: selectedText,
+    selectionContext: selectionContext,
+    url: tab.url,
+    title: tab.title,
+    tabId: tab.id,
+    timestamp: new Date().toISOString()
+  };
+
+  await dispatchContextAction(
+    tab,
+    data,
+    ANSWER_OVERLAY_CONFIG.ACTIONS.includes(action)
+  );
+}
+
+/**
+ * Keyboard shortcuts from the manifest's `commands`, acting on the active
+ * tab like the matching context menu items
+ */
+async function handleCommand(command, tab) {
+  try {
+    const activeTab =
+      tab && tab.id !== undefined
+        ? tab
+        : (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (!activeTab || !activeTab.url || isRestrictedPage(activeTab.url)) {
+      return;
+    }
+
+    switch (command) {
+      case 'send-selection':
+        await sendSelectionFromTab(activeTab, CONTEXT_MENU_ACTIONS.SEND_SELECTION);
+        break;
+      case 'fact-check-selection':
+        await sendSelectionFromTab(activeTab, CONTEXT_MENU_ACTIONS.FACT_CHECK);
+        break;
+      case 'summarize-page':
+        await handlePageActionClick(activeTab);
+        break;
+      case 'open-overlay':
+        await openAskOverlay(activeTab);
+        break;
+    }
+  } catch (error) {
+    console.warn('Failed to handle keyboard shortcut:', error);
+  }
+}
+
+/**
+ * Shortcut version of a selection action: there is no `info.selectionText`,
+ * so the selection is read from the page
+ */
+async function sendSelectionFromTab(tab, action) {
+  const details = await getSelectionDetails(tab);
+  if (!details || !details.text) {
+    await notificationCenter.show({
+      title: 'Alice',
+      message: 'Select some text on the page first.',
+      replyable: false
+    });
+    return;
+  }
+
+  const { paragraphs, headingTrail, quote } = details;
+  await sendSelectionAction(tab, action, details.text, {
+    paragraphs,
+    headingTrail,
+    quote
+  });
+}
+
+/**
+ * Open the answer overlay with nothing asked yet, quoting the selection if
+ * there is one, so a question can be typed straight away
+ */
+async function openAskOverlay(tab) {
+  const details = await getSelectionDetails(tab);
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, {
+      type: 'SHOW_ANSWER_OVERLAY',
+      requestId: null,
+      action: CONTEXT_MENU_ACTIONS.ASK,
+      selectedText: details ? details.text : undefined
+    });
+  } catch (error) {
+    await notificationCenter.show({
+      title: 'Alice',
+      message: 'Alice is not available on this page. Try reloading it.',
+      replyable: false
+    });
+  }
+}
+
+/**
+ * Summarize a link without switching to it: the linked page is loaded in
+ * an inactive tab, which shows briefly in the tab strip and runs the
+ * page's scripts, then extracted and closed again. If it cannot be read,
+ * Alice gets the link alone plus `linkedPageError`.
+ */
+async function handleLinkActionClick(info, tab) {
+  const target = await getContextMenuTarget(tab, 'link', info.linkUrl);
+
+  const data = {
+    action: CONTEXT_MENU_ACTIONS.SUMMARIZE_LINK,
+    target: 'link',
+    link: {
+      url: info.linkUrl,
+      text: target.text || (info.selectionText || '').trim() || undefined,
+      title: target.title || undefined
+    },
+    url: tab.url,
+    title: tab.title,
+    tabId: tab.id,
+    timestamp: new Date().toISOString()
+  };
+
+  await dispatchContextAction(
+    tab,
+    data,
+    ANSWER_OVERLAY_CONFIG.ACTIONS.includes(data.action),
+    async () => {
+      try {
+        return { linkedPage: await extractLinkedPage(info.linkUrl) };
+      } catch (error) {
+        return { linkedPageError: error.message };
+      }
+    }
+  );
+}
+
+/**
+ * Load a URL in an inactive (but visible) tab, extract its context and
+ * close the tab. A real tab is used so script-rendered pages are read as
+ * the user would see them.
+ */
+async function extractLinkedPage(url) {
+  const linkTab = await chrome.tabs.create({ url: url, active: false });
+
+  try {
+    await waitForTabComplete(
+      linkTab.id,
+      BROWSER_CONTEXT_CONFIG.LINK_LOAD_TIMEOUT
+    );
+
+    const loadedTab = await chrome.tabs.get(linkTab.id);
+    if (isRestrictedPage(loadedTab.url || "")) {
+      throw new Error("Linked page cannot be read");
+    }
+
+    const context = await getBrowserContextFromContentScript(loadedTab, {
+      includeLinks: false,
+      includeSelection: false,
+    });
+    return {
+      url: context.url,
+      title: context.title,
+      content: context.content,
+      metadata: context.metadata,
     };
+  } finally {
+    chrome.tabs.remove(linkTab.id).catch(() => {});
   }
-
-  sendWebSocketMessage(response);
 }
 
-function sendSelectionResponse(requestId, data, errorCode, errorMessage) {
-  const response = {
-    type: MESSAGE_TYPES.SELECTION_RESPONSE,
-    requestId: requestId,
-    data: data,
-    timestamp: new Date().toISOString(),
-  };
+function waitForTabComplete(tabId, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      finish(new Error(`Linked page did not load within ${timeout}ms`));
+    }, timeout);
 
-  if (errorCode || errorMessage) {
-    response.error = {
-      code: errorCode || ERROR_CODES.UNKNOWN_ERROR,
-      message: errorMessage || "Unknown error",
+    const onUpdated = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === "complete") {
+        finish(null);
+      }
+    };
+    const onRemoved = (removedTabId) => {
+      if (removedTabId === tabId) {
+        finish(new Error("Linked page was closed"));
+      }
     };
-  }
 
-  sendWebSocketMessage(response);
+    function finish(error) {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+
+    // It may have finished loading before the listeners were added
+    chrome.tabs
+      .get(tabId)
+      .then((tab) => {
+        if (tab.status === "complete") {
+          finish(null);
+        }
+      })
+      .catch(() => {});
+  });
 }
 
-function sendMetadataResponse(requestId, data, errorCode, errorMessage) {
-  const response = {
-    type: MESSAGE_TYPES.METADATA_RESPONSE,
-    requestId: requestId,
-    data: data,
-    timestamp: new Date().toISOString(),
+/**
+ * Describe an image: its URL plus the alt text, title and caption found
+ * around it in the page
+ */
+async function handleImageActionClick(info, tab) {
+  const target = await getContextMenuTarget(tab, 'image', info.srcUrl);
+
+  const data = {
+    action: CONTEXT_MENU_ACTIONS.DESCRIBE_IMAGE,
+    target: 'image',
+    image: {
+      srcUrl: info.srcUrl,
+      alt: target.alt || undefined,
+      title: target.title || undefined,
+      caption: target.caption || undefined,
+      surroundingText: target.surroundingText || undefined,
+      width: target.width || undefined,
+      height: target.height || undefined
+    },
+    url: tab.url,
+    title: tab.title,
+    tabId: tab.id,
+    timestamp: new Date().toISOString()
   };
 
-  if (errorCode || errorMessage) {
-    response.error = {
-      code: errorCode || ERROR_CODES.UNKNOWN_ERROR,
-      message: errorMessage || "Unknown error",
-    };
-  }
-
-  sendWebSocketMessage(response);
+  await dispatchContextAction(
+    tab,
+    data,
+    ANSWER_OVERLAY_CONFIG.ACTIONS.includes(data.action)
+  );
 }
 
-function sendErrorResponse(type, code, message, requestId) {
-  const response = {
-    type: type,
-    code: code,
-    message: message,
-    timestamp: new Date().toISOString(),
+/**
+ * Summarize the whole page from its full extracted context
+ */
+async function handlePageActionClick(tab) {
+  const data = {
+    action: CONTEXT_MENU_ACTIONS.SUMMARIZE_PAGE,
+    target: 'page',
+    url: tab.url,
+    title: tab.title,
+    tabId: tab.id,
+    timestamp: new Date().toISOString()
   };
 
-  if (requestId) {
-    response.requestId = requestId;
-  }
-
-  sendWebSocketMessage(response);
+  await dispatchContextAction(
+    tab,
+    data,
+    ANSWER_OVERLAY_CONFIG.ACTIONS.includes(data.action),
+    async () => {
+      try {
+        return { page: await getBrowserContextFromContentScript(tab, {}) };
+      } catch (error) {
+        return { pageError: error.message };
+      }
+    }
+  );
 }
 
-async function sendWebSocketMessage(message) {
-  if (!connectionManager || !connectionManager.isConnected) {
-    messageQueue.push(message);
-    return;
+/**
+ * Paragraphs, heading trail and text-quote selector around the current
+ * selection, so Alice is not left with a bare sentence
+ */
+async function getSelectionContext(tab, frameId) {
+  const details = await getSelectionDetails(tab, frameId);
+  if (!details) {
+    return undefined;
   }
 
+  const { paragraphs, headingTrail, quote } = details;
+  return { paragraphs, headingTrail, quote };
+}
+
+/**
+ * The selection's text and context from the given frame, or from the top
+ * frame when none is given (keyboard shortcuts)
+ */
+async function getSelectionDetails(tab, frameId) {
   try {
-    await connectionManager.send(message);
+    const response = await chrome.tabs.sendMessage(
+      tab.id,
+      { type: 'GET_SELECTION_CONTEXT' },
+      { frameId: typeof frameId === 'number' ? frameId : 0 }
+    );
+    return response && response.success ? response.data : null;
   } catch (error) {
-    messageQueue.push(message);
+    return null;
   }
 }
 
-function startPingInterval() {
-  setInterval(() => {
-    if (connectionManager && connectionManager.isConnected) {
-      sendWebSocketMessage({
-        type: MESSAGE_TYPES.PING,
-        timestamp: Date.now(),
-      });
-    }
-  }, WEBSOCKET_CONFIG.PING_INTERVAL);
-}
-
-function setupContextMenus() {
+/**
+ * Ask the content script about the element that was right-clicked
+ */
+async function getContextMenuTarget(tab, targetType, url) {
   try {
-    if (!chrome.contextMenus) {
-      return;
-    }
-    
-    chrome.contextMenus.removeAll(() => {
-      if (chrome.runtime.lastError) {
-        console.warn('Error removing existing context menus:', chrome.runtime.lastError);
-      }
-
-      try {
-        chrome.contextMenus.create({
-          id: 'alice-parent',
-          title: 'Alice',
-          contexts: ['selection'],
-          documentUrlPatterns: ['http://*/*', 'https://*/*']
-        }, () => {
-          if (chrome.runtime.lastError) {
-            console.warn('Error creating parent menu:', chrome.runtime.lastError);
-            return;
-          }
-
-          chrome.contextMenus.create({
-            id: 'alice-fact-check',
-            parentId: 'alice-parent',
-            title: 'Fact check this',
-            contexts: ['selection'],
-            documentUrlPatterns: ['http://*/*', 'https://*/*']
-          });
-
-          chrome.contextMenus.create({
-            id: 'alice-summarize',
-            parentId: 'alice-parent',
-            title: 'Summarize this',
-            contexts: ['selection'],
-            documentUrlPatterns: ['http://*/*', 'https://*/*']
-          });
-
-          chrome.contextMenus.create({
-            id: 'alice-tell-more',
-            parentId: 'alice-parent',
-            title: 'Tell me more about it',
-            contexts: ['selection'],
-            documentUrlPatterns: ['http://*/*', 'https://*/*']
-          });
-        });
-        
-      } catch (createError) {
-        console.warn('Error during context menu creation:', createError);
-      }
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      type: 'GET_CONTEXT_MENU_TARGET',
+      targetType: targetType,
+      url: url
     });
+    return response && response.success ? response.data : {};
   } catch (error) {
-    console.warn('Failed to setup context menus:', error);
+    return {};
   }
 }
 
-async function handleContextMenuClick(info, tab) {
-  if (!info.selectionText || !info.selectionText.trim()) {
+/**
+ * Send a user-defined action with its prompt template filled in. The
+ * action id is sent as "custom:<id>" so Alice can tell them apart.
+ */
+async function handleCustomActionClick(actionId, info, tab) {
+  let customAction = customActions.find((action) => action.id === actionId);
+  if (!customAction) {
+    // The worker may have restarted since the menu was built
+    customAction = (await loadCustomActions()).find(
+      (action) => action.id === actionId
+    );
+  }
+  if (!customAction) {
     return;
   }
 
-  try {
-    let action;
-    switch (info.menuItemId) {
-      case 'alice-fact-check':
-        action = CONTEXT_MENU_ACTIONS.FACT_CHECK;
-        break;
-      case 'alice-summarize':
-        action = CONTEXT_MENU_ACTIONS.SUMMARIZE;
-        break;
-      case 'alice-tell-more':
-        action = CONTEXT_MENU_ACTIONS.TELL_MORE;
-        break;
-      default:
-        return;
+  const selectedText = (info.selectionText || '').trim();
+  const targetUrl = info.linkUrl || info.srcUrl || info.pageUrl || tab.url;
+
+  const data = {
+    action: CUSTOM_ACTIONS_CONFIG.ACTION_PREFIX + customAction.id,
+    label: customAction.title,
+    prompt: renderPromptTemplate(customAction.template, {
+      selection: selectedText,
+      url: targetUrl,
+      title: tab.title
+    }),
+    selectedText: selectedText || undefined,
+    selectionContext: selectedText
+      ? await getSelectionContext(tab, info.frameId)
+      : undefined,
+    url: tab.url,
+    title: tab.title,
+    tabId: tab.id,
+    timestamp: new Date().toISOString()
+  };
+
+  await dispatchContextAction(tab, data, customAction.showAnswer);
+}
+
+/**
+ * Send a context action, showing the answer overlay in the tab first when
+ * asked to. Falls back to a plain action when the tab has no content script.
+ * `enrich` adds slow-to-gather fields once the overlay is already showing.
+ */
+async function dispatchContextAction(tab, data, showAnswer, enrich) {
+  let requestId = null;
+  if (showAnswer) {
+    try {
+      const overlayRequestId = connectionManager.generateRequestId();
+      await chrome.tabs.sendMessage(tab.id, {
+        type: 'SHOW_ANSWER_OVERLAY',
+        requestId: overlayRequestId,
+        action: data.action,
+        heading: data.label,
+        selectedText: data.selectedText
+      });
+      requestId = overlayRequestId;
+    } catch (error) {
+      // No content script in this tab; Alice answers in its own UI
     }
+  }
 
-    await sendContextActionToAlice({
-      action: action,
-      selectedText: info.selectionText.trim(),
-      url: tab.url,
-      title: tab.title,
-      timestamp: new Date().toISOString()
-    });
+  const payload = enrich ? { ...data, ...(await enrich()) } : data;
 
-  } catch (error) {
-    console.warn('Failed to handle context menu click:', error);
+  if (requestId) {
+    await sendOverlayActionToAlice(requestId, { tabId: tab.id }, payload);
+  } else {
+    await sendContextActionToAlice(payload);
   }
 }
 
-async function sendContextActionToAlice(data) {
+/**
+ * Send a context action and wait for Alice to acknowledge it.
+ * Resolves with Alice's reply, or null if it was rejected or never answered.
+ */
+async function sendContextActionToAlice(data, requestId) {
   try {
-    await connectionManager.connect();
+    // While disconnected the action is queued and replayed after the next
+    // successful handshake
+    if (connectionManager.isConnected) {
+      await connectionManager.waitForHandshake();
+
+      if (!connectionManager.isPeerAuthenticated()) {
+        throw new Error("Alice is not authenticated; check the pairing token");
+      }
+    }
     
     const message = {
       type: MESSAGE_TYPES.CONTEXT_ACTION,
+      requestId: requestId,
       data: data,
       timestamp: new Date().toISOString()
     };
 
-    await connectionManager.send(message);
+    return await connectionManager.request(message, {
+      timeout: WEBSOCKET_CONFIG.CONTEXT_ACTION_TIMEOUT
+    });
   } catch (error) {
-    console.error('Failed to send context action to Alice:', error);
+    // Peers that predate acknowledgements never answer, so a timeout here
+    // is routine rather than a failure
+    if (error.code !== ERROR_CODES.REQUEST_TIMEOUT) {
+      logWarning('Context action failed:', error.message);
+    }
+    return null;
   }
 }
 
@@ -899,16 +2187,34 @@ function cleanup() {
     connectionManager.destroy();
   }
 
+  if (supervisor) {
+    supervisor.destroy();
+  }
+
   if (memoryManager) {
     memoryManager.destroy();
   }
 }
 
-initialize().catch((error) => {
+const initialization = initialize().catch((error) => {
   console.warn("Failed to initialize background script:", error.message);
 });
 
-startPingInterval();
+/**
+ * Alarms can be what wakes an evicted worker, so the listener must be
+ * registered synchronously at the top level
+ */
+async function handleAlarm(alarm) {
+  await initialization;
+
+  if (supervisor) {
+    await supervisor.handleAlarm(alarm);
+  }
+}
+
+if (chrome.alarms && chrome.alarms.onAlarm) {
+  chrome.alarms.onAlarm.addListener(handleAlarm);
+}
 
 self.addEventListener("beforeunload", cleanup);
 
@@ -917,9 +2223,21 @@ if (typeof self !== "undefined") {
     const connectionStats = connectionManager ? connectionManager.getStats() : {};
     return {
       socketConnected: connectionManager && connectionManager.isConnected,
-      messageQueueLength: connectionStats.messageQueueLength || messageQueue.length,
+      messageQueueLength: connectionStats.messageQueueLength || 0,
+      queuedMessages: connectionStats.queuedMessages || [],
       reconnectAttempts: connectionStats.reconnectAttempts || 0,
+      reconnectPolicy: connectionStats.reconnectPolicy || null,
       isConnecting: connectionManager && connectionManager.isConnecting,
+      peer: connectionStats.peer || null,
+      hasPairingToken: !!pairingToken,
+      activeEndpoint: connectionStats.activeEndpoint || null,
+      endpoints: endpointConfig ? endpointConfig.endpoints : [],
+      preferredEndpointId: endpointConfig
+        ? endpointConfig.preferredEndpointId
+        : null,
+      failover: endpointConfig ? endpointConfig.failover : true,
+      lifecycle: supervisor ? supervisor.getStats() : null,
+      metrics: connectionStats.metrics || null,
       environmentConfig: environmentConfig,
       timestamp: new Date().toISOString(),
     };
@@ -930,6 +2248,40 @@ let lastConnectionTime = null;
 
 const popupPorts = new Set();
 
+/**
+ * onMessage listener. It must return true synchronously for Chrome to keep
+ * the channel open until sendResponse is called after an await.
+ */
+function handleRuntimeMessage(message, sender, sendResponse) {
+  if (message && message.type === "register-content-commands") {
+    handleContentCommandRegistration(message, sender, sendResponse);
+  } else {
+    handleMessageFromPopup(message, sender, sendResponse);
+  }
+  return true;
+}
+
+/**
+ * Commands announced by a content script, answered with the types that
+ * were registered once initialization has built the router
+ */
+function handleContentCommandRegistration(message, sender, sendResponse) {
+  if (!sender || !sender.tab) {
+    sendResponse({
+      success: false,
+      error: "Only content scripts can register commands",
+    });
+    return;
+  }
+
+  initialization
+    .then(() => registerContentCommands(message.commands))
+    .then(
+      (registered) => sendResponse({ success: true, registered: registered }),
+      (error) => sendResponse({ success: false, error: error.message })
+    );
+}
+
 /**
  * Handle messages from popup
  */
@@ -947,11 +2299,35 @@ async function handleMessageFromPopup(message, sender, sendResponse) {
         sendResponse({ success: true });
         break;
 
+      case "select-endpoint":
+        await handleEndpointSelection(message.endpointId);
+        sendResponse({ success: true });
+        break;
+
+      case "clear-queue":
+        connectionManager.messageQueue.clear();
+        notifyPopupPortsOfStatusChange();
+        sendResponse({ success: true });
+        break;
+
       case "reconnect":
         await handleManualReconnect(message.skipAutoReconnect);
         sendResponse({ success: true });
         break;
 
+      case "answer-follow-up":
+        if (!sender || !sender.tab) {
+          sendResponse({ success: false, error: "No tab for follow-up" });
+          break;
+        }
+        handleAnswerFollowUp(message, sender, sendResponse);
+        break;
+
+      case "answer-overlay-closed":
+        deleteAnswerRoutes(message.requestIds || []);
+        sendResponse({ success: true });
+        break;
+
       default:
         sendResponse({ success: false, error: "Unknown message type" });
     }
@@ -1050,27 +2426,112 @@ function handleConnectionFromPopup(port) {
  * Handle configuration update from popup
  */
 async function handleConfigUpdate(config) {
-  if (!config || !config.url || !config.host || !config.port) {
-    throw new Error("Invalid configuration");
+  if (
+    !config ||
+    !Array.isArray(config.endpoints) ||
+    config.endpoints.length === 0
+  ) {
+    throw new Error("Invalid configuration: at least one endpoint is required");
+  }
+
+  const endpoints = config.endpoints.map((endpoint, index) =>
+    normalizeEndpoint(endpoint, index)
+  );
+
+  const endpointIds = new Set(endpoints.map((endpoint) => endpoint.id));
+  if (endpointIds.size !== endpoints.length) {
+    throw new Error("Invalid configuration: endpoint ids must be unique");
   }
 
-  environmentConfig.websocket.url = config.url;
+  const preferredEndpointId = endpoints.some(
+    (endpoint) => endpoint.id === config.preferredEndpointId
+  )
+    ? config.preferredEndpointId
+    : endpoints[0].id;
+
+  endpointConfig = {
+    endpoints: endpoints,
+    preferredEndpointId: preferredEndpointId,
+    failover: config.failover !== false,
+  };
 
   try {
     await chrome.storage.sync.set({
-      websocketHost: config.host,
-      websocketPort: config.port,
+      websocketEndpoints: endpoints,
+      preferredEndpointId: preferredEndpointId,
+      endpointFailover: endpointConfig.failover,
     });
+    await chrome.storage.sync.remove([
+      "websocketUrl",
+      "websocketProtocols",
+      "websocketHost",
+      "websocketPort",
+    ]);
+  } catch (error) {}
+
+  // The pairing token stays in local storage so it never syncs off the device
+  if (typeof config.authToken === "string") {
+    pairingToken = config.authToken.trim() || null;
+    try {
+      if (pairingToken) {
+        await chrome.storage.local.set({ pairingToken });
+      } else {
+        await chrome.storage.local.remove("pairingToken");
+      }
+    } catch (error) {}
+  }
+
+  if (connectionManager) {
+    connectionManager.config.authToken = pairingToken;
+    await reconnectToEndpoints();
+  }
+}
+
+/**
+ * Switch the preferred endpoint from the popup without editing the list
+ */
+async function handleEndpointSelection(endpointId) {
+  if (
+    !endpointConfig ||
+    !endpointConfig.endpoints.some((endpoint) => endpoint.id === endpointId)
+  ) {
+    throw new Error(`Unknown endpoint: ${endpointId}`);
+  }
+
+  endpointConfig.preferredEndpointId = endpointId;
+
+  try {
+    await chrome.storage.sync.set({ preferredEndpointId: endpointId });
   } catch (error) {}
 
   if (connectionManager) {
-    connectionManager.config.url = config.url;
+    await reconnectToEndpoints();
+  }
+}
+
+/**
+ * Reconnect starting from the preferred endpoint of the current list
+ */
+async function reconnectToEndpoints() {
+  connectionManager.disconnect();
 
-    connectionManager.disconnect();
+  connectionManager.setEndpoints(
+    orderEndpoints(endpointConfig.endpoints, endpointConfig.preferredEndpointId),
+    { failover: endpointConfig.failover }
+  );
+  environmentConfig.websocket.url = connectionManager.config.url;
 
-    connectionManager.reconnectAttempts = 0;
+  connectionManager.reconnectPolicy.reset();
+  connectionManager.reconnectAttempts = 0;
+  connectionManager.config.autoReconnect = WEBSOCKET_CONFIG.AUTO_RECONNECT;
 
+  try {
     await connectionManager.connect();
+  } catch (error) {
+    // Failover keeps trying the remaining endpoints in the background
+    if (!endpointConfig.failover || endpointConfig.endpoints.length < 2) {
+      throw error;
+    }
   }
 }
 
@@ -1082,11 +2543,14 @@ async function handleManualReconnect(skipAutoReconnect = false) {
     throw new Error("Connection manager not available");
   }
 
+  // disconnect() turns auto-reconnect off, so capture the setting first
+  const originalAutoReconnect = connectionManager.config.autoReconnect;
+
   connectionManager.disconnect();
 
+  connectionManager.reconnectPolicy.reset();
   connectionManager.reconnectAttempts = 0;
 
-  const originalAutoReconnect = connectionManager.config.autoReconnect;
   if (skipAutoReconnect) {
     connectionManager.config.autoReconnect = false;
   }
@@ -1098,9 +2562,7 @@ async function handleManualReconnect(skipAutoReconnect = false) {
 
     notifyPopupPortsOfStatusChange();
   } finally {
-    if (skipAutoReconnect) {
-      connectionManager.config.autoReconnect = originalAutoReconnect;
-    }
+    connectionManager.config.autoReconnect = originalAutoReconnect;
   }
 }
 
@@ -1143,6 +2605,16 @@ function createErrorHash(errorMessage) {
   return hash.toString();
 }
 
+/**
+ * Log a warning when LOGGING_CONFIG enables console logging at warn level
+ */
+function logWarning(...args) {
+  const level = LOG_LEVELS[String(LOGGING_CONFIG.LEVEL).toUpperCase()];
+  if (LOGGING_CONFIG.ENABLE_CONSOLE_LOGGING && level <= LOG_LEVELS.WARN) {
+    console.warn(...args);
+  }
+}
+
 /**
  * Determine if an error should be logged based on throttling and duplicate detection
  */
@@ -0,0 +1,160 @@
+import { METRICS_CONFIG } from '../../shared/constants/simplified-config.js';
+
+/**
+ * Rolling connection metrics: ping round-trip times, traffic per message
+ * type, handler timings and error counts. Used to tell whether slowness
+ * comes from the socket, the content script or Alice.
+ */
+export class ConnectionMetrics {
+  constructor(options = {}) {
+    this.config = {
+      maxSamples: options.maxSamples || METRICS_CONFIG.MAX_SAMPLES,
+      pingExpiry: options.pingExpiry || METRICS_CONFIG.PING_EXPIRY
+    };
+
+    this.encoder = typeof TextEncoder !== 'undefined' ? new TextEncoder() : null;
+    this.reset();
+  }
+
+  reset() {
+    this.rttSamples = [];
+    this.outstandingPings = new Map();
+    this.pingCounter = 0;
+    this.sent = {};
+    this.received = {};
+    this.handlerTimings = {};
+    this.errors = {};
+    this.compression = { count: 0, originalBytes: 0, compressedBytes: 0 };
+    this.startedAt = Date.now();
+  }
+
+  byteLength(text) {
+    if (typeof text !== 'string') {
+      return text && text.byteLength ? text.byteLength : 0;
+    }
+    return this.encoder ? this.encoder.encode(text).length : text.length;
+  }
+
+  recordTraffic(bucket, type, bytes) {
+    const key = type || 'unknown';
+    if (!bucket[key]) {
+      bucket[key] = { count: 0, bytes: 0 };
+    }
+    bucket[key].count++;
+    bucket[key].bytes += bytes;
+  }
+
+  recordSent(type, payload) {
+    this.recordTraffic(this.sent, type, this.byteLength(payload));
+  }
+
+  recordReceived(type, payload) {
+    this.recordTraffic(this.received, type, this.byteLength(payload));
+  }
+
+  /**
+   * Register an outgoing ping and return the id Alice should echo back
+   */
+  createPing() {
+    this.pingCounter++;
+    const pingId = `p${this.pingCounter}`;
+    const now = Date.now();
+
+    this.outstandingPings.set(pingId, now);
+    for (const [id, sentAt] of this.outstandingPings) {
+      if (now - sentAt > this.config.pingExpiry) {
+        this.outstandingPings.delete(id);
+      }
+    }
+
+    return pingId;
+  }
+
+  /**
+   * Match a pong to its ping by echoed pingId, falling back to the oldest
+   * outstanding ping for peers that do not echo it
+   */
+  recordPong(message) {
+    let pingId = message && message.pingId;
+    if (!pingId || !this.outstandingPings.has(pingId)) {
+      pingId = this.outstandingPings.keys().next().value;
+    }
+    if (!pingId) {
+      return null;
+    }
+
+    const rtt = Date.now() - this.outstandingPings.get(pingId);
+    this.outstandingPings.delete(pingId);
+    this.pushSample(this.rttSamples, rtt);
+    return rtt;
+  }
+
+  recordCompression(originalBytes, compressedBytes) {
+    this.compression.count++;
+    this.compression.originalBytes += originalBytes;
+    this.compression.compressedBytes += compressedBytes;
+  }
+
+  recordHandlerTiming(type, duration) {
+    if (!this.handlerTimings[type]) {
+      this.handlerTimings[type] = [];
+    }
+    this.pushSample(this.handlerTimings[type], duration);
+  }
+
+  recordError(code) {
+    const key = code || 'UNKNOWN_ERROR';
+    this.errors[key] = (this.errors[key] || 0) + 1;
+  }
+
+  pushSample(samples, value) {
+    samples.push(Math.round(value));
+    if (samples.length > this.config.maxSamples) {
+      samples.shift();
+    }
+  }
+
+  summarize(samples) {
+    if (samples.length === 0) {
+      return { count: 0, min: null, avg: null, p95: null, last: null };
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const p95Index = Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1);
+
+    return {
+      count: samples.length,
+      min: sorted[0],
+      avg: Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length),
+      p95: sorted[p95Index],
+      last: samples[samples.length - 1]
+    };
+  }
+
+  totals(bucket) {
+    return Object.values(bucket).reduce((total, entry) => ({
+      count: total.count + entry.count,
+      bytes: total.bytes + entry.bytes
+    }), { count: 0, bytes: 0 });
+  }
+
+  getSnapshot() {
+    const handlers = {};
+    for (const [type, samples] of Object.entries(this.handlerTimings)) {
+      handlers[type] = this.summarize(samples);
+    }
+
+    return {
+      since: this.startedAt,
+      rtt: {
+        ...this.summarize(this.rttSamples),
+        samples: this.rttSamples.slice(-METRICS_CONFIG.SPARKLINE_SAMPLES)
+      },
+      sent: { ...this.totals(this.sent), byType: { ...this.sent } },
+      received: { ...this.totals(this.received), byType: { ...this.received } },
+      compression: { ...this.compression },
+      handlers: handlers,
+      errors: { ...this.errors }
+    };
+  }
+}
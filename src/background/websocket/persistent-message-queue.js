@@ -0,0 +1,231 @@
+import { QUEUE_CONFIG } from '../../shared/constants/simplified-config.js';
+
+/**
+ * Outbound message queue mirrored to chrome.storage so messages queued while
+ * Alice is unreachable survive MV3 service-worker restarts.
+ */
+export class PersistentMessageQueue {
+  constructor(options = {}) {
+    this.config = {
+      storageArea: options.storageArea || QUEUE_CONFIG.STORAGE_AREA,
+      storageKey: options.storageKey || QUEUE_CONFIG.STORAGE_KEY,
+      maxSize: options.maxSize || QUEUE_CONFIG.MAX_SIZE,
+      defaultTtl: options.defaultTtl || QUEUE_CONFIG.DEFAULT_TTL,
+      typeTtl: options.typeTtl || QUEUE_CONFIG.TYPE_TTL,
+      maxPersistBytes: options.maxPersistBytes || QUEUE_CONFIG.MAX_PERSIST_BYTES
+    };
+
+    this.entries = [];
+    this.entryCounter = 0;
+    this.persistTimer = null;
+    this.loaded = false;
+  }
+
+  get length() {
+    this.prune();
+    return this.entries.length;
+  }
+
+  getStorage() {
+    if (typeof chrome === 'undefined' || !chrome.storage) {
+      return null;
+    }
+    return chrome.storage[this.config.storageArea] || chrome.storage.local || null;
+  }
+
+  /**
+   * Restore entries persisted by a previous service worker, keeping any
+   * queued since this one started
+   */
+  async load() {
+    const storage = this.getStorage();
+    if (!storage) {
+      this.loaded = true;
+      return;
+    }
+
+    try {
+      const result = await storage.get([this.config.storageKey]);
+      const stored = Array.isArray(result[this.config.storageKey]) ? result[this.config.storageKey] : [];
+      const current = this.entries;
+
+      this.entries = [];
+      for (const entry of stored.concat(current)) {
+        this.insert(entry);
+      }
+      this.prune();
+    } catch (error) {
+      console.warn('Could not restore the message queue:', error.message);
+    }
+
+    this.loaded = true;
+    this.schedulePersist();
+  }
+
+  /**
+   * Queue a message. A message with the same dedupe key replaces the
+   * earlier one instead of being sent twice.
+   */
+  enqueue(message, options = {}) {
+    const now = Date.now();
+    const ttl = options.ttl || this.getTtl(message);
+
+    this.entryCounter++;
+    this.insert({
+      id: `${now.toString(36)}-${this.entryCounter}`,
+      dedupeKey: options.dedupeKey || this.getDedupeKey(message),
+      message: message,
+      enqueuedAt: now,
+      expiresAt: now + ttl
+    });
+
+    this.prune();
+    this.schedulePersist();
+  }
+
+  getTtl(message) {
+    return this.config.typeTtl[message.type] || this.config.defaultTtl;
+  }
+
+  insert(entry) {
+    if (!entry || !entry.message) {
+      return;
+    }
+
+    this.entries = this.entries.filter(existing => existing.dedupeKey !== entry.dedupeKey);
+    this.entries.push(entry);
+
+    // Oldest messages are dropped first when the queue is full
+    while (this.entries.length > this.config.maxSize) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * Replies are unique per requestId; user-triggered messages such as
+   * context actions are deduped by content so a double click queues once
+   */
+  getDedupeKey(message) {
+    if (message.requestId && !QUEUE_CONFIG.CONTENT_DEDUPE_TYPES.includes(message.type)) {
+      return `${message.type}:${message.requestId}`;
+    }
+
+    const { timestamp, requestId, ...rest } = message;
+    const data = rest.data && typeof rest.data === 'object'
+      ? { ...rest.data, timestamp: undefined }
+      : rest.data;
+    return `${message.type}:${JSON.stringify({ ...rest, data })}`;
+  }
+
+  /**
+   * Remove and return every live message in queue order
+   */
+  drain() {
+    this.prune();
+    const messages = this.entries.map(entry => entry.message);
+    this.entries = [];
+    this.schedulePersist();
+    return messages;
+  }
+
+  /**
+   * Put messages back at the front, e.g. after a failed send
+   */
+  requeue(messages) {
+    const now = Date.now();
+    const restored = messages.map(message => {
+      this.entryCounter++;
+      return {
+        id: `${now.toString(36)}-${this.entryCounter}`,
+        dedupeKey: this.getDedupeKey(message),
+        message: message,
+        enqueuedAt: now,
+        expiresAt: now + this.getTtl(message)
+      };
+    });
+
+    const pending = this.entries;
+    this.entries = [];
+    for (const entry of restored.concat(pending)) {
+      this.insert(entry);
+    }
+    this.schedulePersist();
+  }
+
+  prune() {
+    const now = Date.now();
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.expiresAt > now);
+
+    if (this.entries.length !== before) {
+      this.schedulePersist();
+    }
+  }
+
+  /**
+   * Lightweight view of queued messages for the popup
+   */
+  list() {
+    this.prune();
+    return this.entries.map(entry => ({
+      id: entry.id,
+      type: entry.message.type,
+      action: entry.message.data && entry.message.data.action ? entry.message.data.action : null,
+      requestId: entry.message.requestId || null,
+      enqueuedAt: entry.enqueuedAt,
+      expiresAt: entry.expiresAt
+    }));
+  }
+
+  clear() {
+    this.entries = [];
+    this.schedulePersist();
+  }
+
+  schedulePersist() {
+    if (this.persistTimer) {
+      return;
+    }
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, QUEUE_CONFIG.PERSIST_DELAY);
+  }
+
+  async persist() {
+    const storage = this.getStorage();
+    if (!storage || !this.loaded) {
+      return;
+    }
+
+    const entries = this.getPersistableEntries();
+    try {
+      await storage.set({ [this.config.storageKey]: entries });
+    } catch (error) {
+      console.warn(`Could not persist ${entries.length} queued messages:`, error.message);
+    }
+  }
+
+  /**
+   * The newest entries whose JSON fits in `maxPersistBytes`, in queue
+   * order, so one oversized reply cannot push the queue past the storage
+   * quota and stop it being persisted at all
+   */
+  getPersistableEntries() {
+    const encoder = new TextEncoder();
+    const entries = [];
+    let bytes = 0;
+
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const size = encoder.encode(JSON.stringify(this.entries[i])).length;
+      if (bytes + size > this.config.maxPersistBytes) {
+        continue;
+      }
+      bytes += size;
+      entries.unshift(this.entries[i]);
+    }
+
+    return entries;
+  }
+}
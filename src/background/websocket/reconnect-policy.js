@@ -0,0 +1,109 @@
+import { WEBSOCKET_CONFIG, RECONNECT_POLICY_CONFIG } from '../../shared/constants/simplified-config.js';
+
+export const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Exponential backoff with jitter and a circuit breaker.
+ *
+ * After `breakerThreshold` consecutive failures the breaker opens and the
+ * policy stops backing off, probing once every `probeInterval` instead.
+ * Any object with the same nextDelay/recordAttempt/recordSuccess/reset/
+ * getState methods can be passed to the connection manager in its place.
+ */
+export class ReconnectPolicy {
+  constructor(options = {}) {
+    this.config = {
+      baseDelay: options.baseDelay || WEBSOCKET_CONFIG.RECONNECT_INTERVAL,
+      maxDelay: options.maxDelay || RECONNECT_POLICY_CONFIG.MAX_DELAY,
+      jitter: options.jitter !== undefined ? options.jitter : RECONNECT_POLICY_CONFIG.JITTER,
+      // 0 means retry forever
+      maxAttempts: options.maxAttempts !== undefined ? options.maxAttempts : RECONNECT_POLICY_CONFIG.MAX_ATTEMPTS,
+      breakerThreshold: options.breakerThreshold || RECONNECT_POLICY_CONFIG.BREAKER_THRESHOLD,
+      probeInterval: options.probeInterval || RECONNECT_POLICY_CONFIG.BREAKER_PROBE_INTERVAL
+    };
+
+    this.reset();
+  }
+
+  reset() {
+    this.attempts = 0;
+    this.consecutiveFailures = 0;
+    this.breakerState = BREAKER_STATES.CLOSED;
+    this.breakerOpenedAt = null;
+    this.nextAttemptAt = null;
+    this.gaveUp = false;
+  }
+
+  /**
+   * Delay before the next attempt, or null when the policy has given up
+   */
+  nextDelay() {
+    this.consecutiveFailures++;
+
+    if (this.config.maxAttempts > 0 && this.attempts >= this.config.maxAttempts) {
+      this.gaveUp = true;
+      this.nextAttemptAt = null;
+      return null;
+    }
+
+    let delay;
+    if (this.consecutiveFailures >= this.config.breakerThreshold) {
+      if (this.breakerState === BREAKER_STATES.CLOSED) {
+        this.breakerOpenedAt = Date.now();
+      }
+      this.breakerState = BREAKER_STATES.OPEN;
+      delay = this.config.probeInterval;
+    } else {
+      delay = Math.min(
+        this.config.baseDelay * Math.pow(2, this.consecutiveFailures - 1),
+        this.config.maxDelay
+      );
+    }
+
+    delay = this.applyJitter(delay);
+    this.nextAttemptAt = Date.now() + delay;
+    return delay;
+  }
+
+  applyJitter(delay) {
+    if (!this.config.jitter) {
+      return delay;
+    }
+    const spread = delay * this.config.jitter;
+    return Math.max(0, Math.round(delay - spread + Math.random() * spread * 2));
+  }
+
+  /**
+   * Called when a scheduled attempt actually starts
+   */
+  recordAttempt() {
+    this.attempts++;
+    this.nextAttemptAt = null;
+    if (this.breakerState === BREAKER_STATES.OPEN) {
+      this.breakerState = BREAKER_STATES.HALF_OPEN;
+    }
+  }
+
+  recordSuccess() {
+    this.reset();
+  }
+
+  getState() {
+    return {
+      attempts: this.attempts,
+      consecutiveFailures: this.consecutiveFailures,
+      unlimited: this.config.maxAttempts === 0,
+      maxAttempts: this.config.maxAttempts,
+      breakerState: this.breakerState,
+      breakerOpen: this.breakerState !== BREAKER_STATES.CLOSED,
+      breakerOpenedAt: this.breakerOpenedAt,
+      nextAttemptAt: this.nextAttemptAt,
+      nextAttemptIn: this.nextAttemptAt ? Math.max(0, this.nextAttemptAt - Date.now()) : null,
+      gaveUp: this.gaveUp
+    };
+  }
+}
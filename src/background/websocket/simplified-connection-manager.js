@@ -1,26 +1,73 @@
-import { WEBSOCKET_CONFIG, MESSAGE_TYPES, ERROR_CODES } from '../../shared/constants/simplified-config.js';
+import { WEBSOCKET_CONFIG, PROTOCOL_CONFIG, COMPRESSION_CONFIG, QUEUE_CONFIG, RECONNECT_POLICY_CONFIG, STREAM_CONFIG, MESSAGE_TYPES, ERROR_CODES } from '../../shared/constants/simplified-config.js';
+import { AUTH_ROLES, generateNonce, computeAuthProof, verifyAuthProof } from '../../shared/utils/pairing-auth.js';
+import { getSupportedCompression, negotiateCompression, compressText, decompressToText } from '../../shared/utils/compression.js';
+import { validateMessage } from '../../shared/types/simplified-schemas.js';
+import { PersistentMessageQueue } from './persistent-message-queue.js';
+import { ReconnectPolicy } from './reconnect-policy.js';
+import { ConnectionMetrics } from './connection-metrics.js';
 
 export class SimplifiedConnectionManager {
   constructor(config = {}) {
     this.config = {
       url: config.url || WEBSOCKET_CONFIG.URL,
+      protocols: config.protocols || [],
       reconnectInterval: config.reconnectInterval || WEBSOCKET_CONFIG.RECONNECT_INTERVAL,
       connectionTimeout: config.connectionTimeout || WEBSOCKET_CONFIG.CONNECTION_TIMEOUT,
       pingInterval: config.pingInterval || WEBSOCKET_CONFIG.PING_INTERVAL,
       autoReconnect: config.autoReconnect !== false,
-      maxReconnectAttempts: config.maxReconnectAttempts || 5,
-      debugMode: config.debugMode || false
+      maxReconnectAttempts: config.maxReconnectAttempts !== undefined
+        ? config.maxReconnectAttempts
+        : RECONNECT_POLICY_CONFIG.MAX_ATTEMPTS,
+      requestTimeout: config.requestTimeout || WEBSOCKET_CONFIG.REQUEST_TIMEOUT,
+      debugMode: config.debugMode || false,
+      capabilities: config.capabilities || {},
+      authToken: config.authToken || null,
+      compression: config.compression !== false,
+      compressionThreshold: config.compressionThreshold || COMPRESSION_CONFIG.THRESHOLD,
+      endpoints: config.endpoints || [],
+      failover: config.failover !== false
     };
 
+    if (this.config.endpoints.length === 0) {
+      this.config.endpoints = [{
+        id: 'default',
+        name: 'Default',
+        url: this.config.url,
+        protocols: this.config.protocols
+      }];
+    }
+    this.endpointIndex = 0;
+    this.applyEndpoint(this.config.endpoints[0]);
+
     this.socket = null;
     this.isConnecting = false;
     this.isConnected = false;
-    this.messageQueue = [];
+    this.messageQueue = new PersistentMessageQueue(config.queue);
     this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.reconnectPolicy = config.reconnectPolicy || new ReconnectPolicy({
+      baseDelay: this.config.reconnectInterval,
+      maxAttempts: this.config.maxReconnectAttempts
+    });
+    this.metrics = new ConnectionMetrics(config.metrics);
     this.connectionTimeout = null;
     this.pingInterval = null;
     this.messageHandlers = new Map();
     this.connectionHandlers = new Map();
+    this.pendingRequests = new Map();
+    this.requestCounter = 0;
+    this.peerInfo = null;
+    // Set as soon as hello_ack is read, before peerInfo, which waits for
+    // authentication while Alice may already send compressed frames
+    this.compression = null;
+    this.handshakePromise = null;
+    this.supportedCompression = this.config.compression
+      ? getSupportedCompression(COMPRESSION_CONFIG.ALGORITHMS)
+      : [];
+    // Frames are compressed and decompressed asynchronously; chaining keeps
+    // them in order
+    this.sendChain = Promise.resolve();
+    this.receiveChain = Promise.resolve();
     
     this.lastErrorLogTime = 0;
     this.errorLogThrottle = 5000;
@@ -36,15 +83,37 @@ export class SimplifiedConnectionManager {
     this.on('connected', () => {
       this.isConnected = true;
       this.reconnectAttempts = 0;
-      this.processMessageQueue();
+      this.reconnectPolicy.recordSuccess();
       this.startPingInterval();
+      // Queued messages may carry page content, so only replay them to a
+      // peer that passed the handshake
+      this.performHandshake().then(peerInfo => {
+        if (peerInfo.authenticated) {
+          this.processMessageQueue();
+        }
+      });
     });
 
     this.on('disconnected', () => {
+      const failedToOpen = !this.isConnected;
       this.isConnected = false;
+      this.peerInfo = null;
+      this.compression = null;
+      this.handshakePromise = null;
       this.stopPingInterval();
+      this.rejectPendingRequests(new Error('Connection closed'));
+      
+      // An endpoint that never opened hands over to the next one right away;
+      // backoff only applies once every endpoint has been tried
+      if (failedToOpen && this.config.autoReconnect && this.advanceEndpoint()) {
+        setTimeout(() => {
+          this.connect().catch(error => {
+          });
+        }, 0);
+        return;
+      }
       
-      if (this.config.autoReconnect && this.reconnectAttempts < this.config.maxReconnectAttempts) {
+      if (this.config.autoReconnect) {
         this.scheduleReconnect();
       }
     });
@@ -105,7 +174,11 @@ export class SimplifiedConnectionManager {
 
     return new Promise((resolve, reject) => {
       try {
-        this.socket = new WebSocket(this.config.url);
+        const socket = this.config.protocols.length > 0
+          ? new WebSocket(this.config.url, this.config.protocols)
+          : new WebSocket(this.config.url);
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
 
         this.connectionTimeout = setTimeout(() => {
           this.isConnecting = false;
@@ -123,10 +196,15 @@ export class SimplifiedConnectionManager {
         });
 
         this.socket.addEventListener('message', (event) => {
-          try {
-            const message = JSON.parse(event.data);
+          this.receiveChain = this.receiveChain.then(async () => {
+            const message = JSON.parse(await this.decodeFrame(event.data));
+            this.metrics.recordReceived(message && message.type, event.data);
             this.handleMessage(message);
-          } catch (error) {
+          }).catch(error => {
+            if (error instanceof SyntaxError) {
+              this.rejectMessage(undefined, { field: '', message: 'frame is not valid JSON' });
+            }
+
             let errorMessage = 'Failed to parse WebSocket message';
             if (error) {
               if (typeof error === 'object' && error.message) {
@@ -143,7 +221,7 @@ export class SimplifiedConnectionManager {
               timestamp: new Date().toISOString(),
               fromConnectionManager: true
             });
-          }
+          });
         });
 
         this.socket.addEventListener('error', (error) => {
@@ -163,6 +241,10 @@ export class SimplifiedConnectionManager {
         });
 
         this.socket.addEventListener('close', (event) => {
+          // A socket replaced by a newer connect() must not report on its behalf
+          if (this.socket && this.socket !== socket) {
+            return;
+          }
           clearTimeout(this.connectionTimeout);
           this.isConnecting = false;
           this.emit('disconnected', event);
@@ -191,77 +273,562 @@ export class SimplifiedConnectionManager {
     });
   }
 
+  /**
+   * Replace the endpoint list, e.g. after the user edits it in the popup.
+   * The first endpoint is the preferred one.
+   */
+  setEndpoints(endpoints, options = {}) {
+    if (!endpoints || endpoints.length === 0) {
+      throw new Error('At least one endpoint is required');
+    }
+
+    this.config.endpoints = endpoints;
+    if (options.failover !== undefined) {
+      this.config.failover = options.failover;
+    }
+    this.endpointIndex = 0;
+    this.applyEndpoint(endpoints[0]);
+  }
+
+  applyEndpoint(endpoint) {
+    this.config.url = endpoint.url;
+    this.config.protocols = endpoint.protocols || [];
+  }
+
+  getActiveEndpoint() {
+    return this.config.endpoints[this.endpointIndex] || null;
+  }
+
+  /**
+   * Move to the next endpoint in priority order. Returns false, and goes
+   * back to the preferred endpoint, once the list has been exhausted.
+   */
+  advanceEndpoint() {
+    if (!this.config.failover || this.config.endpoints.length < 2) {
+      return false;
+    }
+
+    const previous = this.getActiveEndpoint();
+    const wrapped = this.endpointIndex + 1 >= this.config.endpoints.length;
+    this.endpointIndex = wrapped ? 0 : this.endpointIndex + 1;
+    this.applyEndpoint(this.config.endpoints[this.endpointIndex]);
+    this.emit('endpoint-changed', this.getActiveEndpoint(), previous);
+
+    return !wrapped;
+  }
+
+  /**
+   * Ask the reconnect policy when to try again; it may also give up
+   */
   scheduleReconnect() {
-    this.reconnectAttempts++;
-    const delay = Math.min(
-      this.config.reconnectInterval * Math.pow(2, this.reconnectAttempts - 1),
-      30000
-    );
+    this.cancelScheduledReconnect();
 
+    const delay = this.reconnectPolicy.nextDelay();
+    if (delay === null) {
+      this.emit('reconnect-scheduled', this.reconnectPolicy.getState());
+      return;
+    }
 
-    setTimeout(() => {
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnectPolicy.recordAttempt();
+      this.reconnectAttempts = this.reconnectPolicy.attempts;
       this.connect().catch(error => {
       });
     }, delay);
+
+    this.emit('reconnect-scheduled', this.reconnectPolicy.getState());
   }
 
+  cancelScheduledReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  hasScheduledReconnect() {
+    return this.reconnectTimer !== null;
+  }
+
+  /**
+   * Skip any pending backoff and connect now, e.g. when the network comes
+   * back. Resets the policy, closing an open circuit breaker.
+   */
+  reconnectNow() {
+    if (this.isConnected || this.isConnecting) {
+      return Promise.resolve(this.socket);
+    }
+
+    this.cancelScheduledReconnect();
+    this.reconnectPolicy.reset();
+    this.reconnectAttempts = 0;
+    return this.connect();
+  }
+
+  /**
+   * Send a message, or queue it while Alice is unreachable. Resolves with
+   * `{ queued: true }` as soon as a message is queued, whether or not the
+   * reconnect succeeds, since the queue replays it once a new connection
+   * has been authenticated.
+   */
   async send(message) {
     if (!this.isConnected || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
-      this.messageQueue.push(message);
-      
-      try {
+      if (QUEUE_CONFIG.EXCLUDED_TYPES.includes(message.type)) {
         await this.connect();
-        this.processMessageQueue();
+        return { queued: false };
+      }
+
+      this.messageQueue.enqueue(message);
+      this.connect().catch(error => {
+        // Reported through the 'error' event; the message stays queued
+      });
+      return { queued: true };
+    }
+
+    await this.transmit(message);
+    return { queued: false };
+  }
+
+  transmit(message) {
+    const frame = this.sendChain.then(() => this.writeFrame(message));
+    this.sendChain = frame.catch(error => {
+    });
+    return frame;
+  }
+
+  /**
+   * Serialize a message and send it, compressed into a binary frame when
+   * Alice negotiated compression and the payload is above the threshold
+   */
+  async writeFrame(message) {
+    const socket = this.socket;
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket is not connected');
+    }
+
+    if (this.config.debugMode) {
+      const invalid = validateMessage(message);
+      if (invalid) {
+        console.warn(`Outgoing ${message.type} does not match its schema: ${invalid.message}`, message);
+      }
+    }
+
+    const messageString = JSON.stringify(message);
+    const algorithm = this.getCompression();
+
+    if (algorithm && messageString.length >= this.config.compressionThreshold) {
+      try {
+        const compressed = await compressText(messageString, algorithm);
+        const originalBytes = this.metrics.byteLength(messageString);
+
+        if (compressed.byteLength < originalBytes && socket.readyState === WebSocket.OPEN) {
+          socket.send(compressed);
+          this.metrics.recordSent(message.type, compressed);
+          this.metrics.recordCompression(originalBytes, compressed.byteLength);
+          return;
+        }
       } catch (error) {
-        throw error;
+        // Fall through to plain text
       }
-      
-      return;
     }
 
+    socket.send(messageString);
+    this.metrics.recordSent(message.type, messageString);
+  }
+
+  /**
+   * Turn a received frame into JSON text. Binary frames carry a payload
+   * compressed with the negotiated algorithm.
+   */
+  async decodeFrame(data) {
+    if (typeof data === 'string') {
+      return data;
+    }
+
+    const algorithm = this.getCompression();
+    if (!algorithm) {
+      throw new Error('Received a binary frame but no compression was negotiated');
+    }
+    return decompressToText(data, algorithm);
+  }
+
+  getCompression() {
+    return this.compression;
+  }
+
+  /**
+   * Resolve once the socket's send buffer has drained below the limit, so a
+   * long stream is paced by the network instead of piling up in memory
+   */
+  async waitForDrain(maxBufferedAmount = STREAM_CONFIG.MAX_BUFFERED_AMOUNT) {
+    const startedAt = Date.now();
+
+    while (true) {
+      const socket = this.socket;
+      if (!socket || socket.readyState !== WebSocket.OPEN) {
+        throw new Error('WebSocket is not connected');
+      }
+
+      if (socket.bufferedAmount <= maxBufferedAmount) {
+        return;
+      }
+
+      if (Date.now() - startedAt > STREAM_CONFIG.DRAIN_TIMEOUT) {
+        throw new Error('Timed out waiting for the WebSocket buffer to drain');
+      }
+
+      await new Promise(resolve => setTimeout(resolve, STREAM_CONFIG.DRAIN_POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Restore messages queued by a previous service worker instance
+   */
+  async restoreMessageQueue() {
+    await this.messageQueue.load();
+  }
+
+  /**
+   * Send a message and resolve with Alice's reply carrying the same requestId.
+   * Rejects on timeout, on an error reply or when the connection drops.
+   */
+  request(message, options = {}) {
+    const timeout = options.timeout || this.config.requestTimeout;
+    const requestId = message.requestId || this.generateRequestId();
+
+    return new Promise((resolve, reject) => {
+      const startTimer = (delay) => setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        const error = new Error(`Request ${requestId} timed out after ${delay}ms`);
+        error.code = ERROR_CODES.REQUEST_TIMEOUT;
+        reject(error);
+      }, delay);
+
+      const pending = { resolve, reject, timer: startTimer(timeout), type: message.type };
+      this.pendingRequests.set(requestId, pending);
+
+      this.send({ ...message, requestId }).then(result => {
+        // A queued request may wait out its queue TTL before it is even sent
+        if (result.queued && this.pendingRequests.get(requestId) === pending) {
+          pending.queued = true;
+          clearTimeout(pending.timer);
+          pending.timer = startTimer(this.messageQueue.getTtl(message) + timeout);
+        }
+      }, error => {
+        this.settlePendingRequest(requestId, null, error);
+      });
+    });
+  }
+
+  generateRequestId() {
+    this.requestCounter++;
+    return `ext-${Date.now().toString(36)}-${this.requestCounter}`;
+  }
+
+  settlePendingRequest(requestId, message, error) {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) {
+      return false;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(requestId);
+
+    if (error) {
+      pending.reject(error);
+    } else if (message.error) {
+      const replyError = new Error(message.error.message || 'Request failed');
+      replyError.code = message.error.code || ERROR_CODES.UNKNOWN_ERROR;
+      replyError.response = message;
+      pending.reject(replyError);
+    } else {
+      pending.resolve(message);
+    }
+    return true;
+  }
+
+  /**
+   * Requests still waiting in the queue survive a dropped connection unless
+   * `includeQueued` is set, since they have not been sent yet
+   */
+  rejectPendingRequests(error, includeQueued = false) {
+    for (const [requestId, pending] of Array.from(this.pendingRequests)) {
+      if (includeQueued || !pending.queued) {
+        this.settlePendingRequest(requestId, null, error);
+      }
+    }
+  }
+
+  /**
+   * Announce our versions and capabilities to Alice. A peer that never
+   * answers is treated as a legacy build that predates the handshake.
+   * When a pairing token is configured the peer must also prove it knows it.
+   */
+  performHandshake() {
+    this.peerInfo = null;
+    this.compression = null;
+    this.handshakePromise = this.runHandshake();
+    return this.handshakePromise;
+  }
+
+  async runHandshake() {
+    const hello = this.buildHelloMessage();
+    const clientNonce = this.config.authToken ? generateNonce() : null;
+    if (clientNonce) {
+      hello.auth = { nonce: clientNonce };
+    }
+
+    let peerInfo;
     try {
-      const messageString = JSON.stringify(message);
-      this.socket.send(messageString);
+      const reply = await this.request(hello, {
+        timeout: PROTOCOL_CONFIG.HANDSHAKE_TIMEOUT
+      });
+
+      peerInfo = {
+        appVersion: reply.appVersion || null,
+        protocolVersion: reply.protocolVersion || null,
+        capabilities: reply.capabilities || {},
+        compatible: this.isCompatibleProtocol(reply.protocolVersion),
+        compression: negotiateCompression(this.supportedCompression, reply.compression),
+        legacy: false,
+        authenticated: !this.config.authToken
+      };
+      this.compression = peerInfo.compression;
+
+      if (this.config.authToken) {
+        peerInfo.authenticated = await this.authenticatePeer(reply.auth, clientNonce);
+      }
     } catch (error) {
-      throw error;
+      peerInfo = {
+        appVersion: null,
+        protocolVersion: null,
+        capabilities: {},
+        compatible: true,
+        compression: null,
+        legacy: true,
+        authenticated: !this.config.authToken,
+        error: error.message
+      };
+    }
+
+    this.peerInfo = peerInfo;
+
+    if (!peerInfo.compatible) {
+      this.metrics.recordError(ERROR_CODES.WS_PROTOCOL_MISMATCH);
+      this.emit('error', {
+        code: ERROR_CODES.WS_PROTOCOL_MISMATCH,
+        message: `Alice protocol ${peerInfo.protocolVersion} is incompatible with ${PROTOCOL_CONFIG.VERSION}`,
+        timestamp: new Date().toISOString(),
+        fromConnectionManager: true
+      });
+    }
+
+    if (!peerInfo.authenticated) {
+      this.metrics.recordError(ERROR_CODES.AUTH_FAILED);
+      this.emit('error', {
+        code: ERROR_CODES.AUTH_FAILED,
+        message: 'Alice did not prove knowledge of the pairing token',
+        timestamp: new Date().toISOString(),
+        fromConnectionManager: true
+      });
     }
+
+    this.emit('handshake', peerInfo);
+    return peerInfo;
   }
 
-  processMessageQueue() {
-    while (this.messageQueue.length > 0) {
-      const message = this.messageQueue.shift();
-      this.send(message).catch(error => {
-        this.messageQueue.unshift(message);
+  /**
+   * Verify Alice's proof for our nonce, then answer Alice's nonce so it can
+   * authenticate us in turn
+   */
+  async authenticatePeer(auth, clientNonce) {
+    if (!auth || !await verifyAuthProof(this.config.authToken, AUTH_ROLES.ALICE, clientNonce, auth.proof)) {
+      return false;
+    }
+
+    if (auth.nonce) {
+      const proof = await computeAuthProof(this.config.authToken, AUTH_ROLES.EXTENSION, auth.nonce);
+      await this.send({
+        type: MESSAGE_TYPES.AUTH,
+        proof: proof,
+        timestamp: Date.now()
       });
     }
+
+    return true;
+  }
+
+  /**
+   * Resolve with the peer info once the current handshake has finished
+   */
+  async waitForHandshake() {
+    if (this.peerInfo) {
+      return this.peerInfo;
+    }
+    if (this.handshakePromise) {
+      return this.handshakePromise;
+    }
+    return null;
+  }
+
+  isPeerAuthenticated() {
+    return !!(this.isConnected && this.peerInfo && this.peerInfo.authenticated);
+  }
+
+  buildHelloMessage() {
+    return {
+      type: MESSAGE_TYPES.HELLO,
+      extensionVersion: this.getExtensionVersion(),
+      protocolVersion: PROTOCOL_CONFIG.VERSION,
+      capabilities: this.config.capabilities,
+      compression: this.supportedCompression,
+      timestamp: Date.now()
+    };
+  }
+
+  getExtensionVersion() {
+    try {
+      return chrome.runtime.getManifest().version;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isCompatibleProtocol(version) {
+    if (!version) {
+      return true;
+    }
+    return String(version).split('.')[0] === PROTOCOL_CONFIG.VERSION.split('.')[0];
   }
 
+  async processMessageQueue() {
+    if (!this.isConnected || !this.socket || this.socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    const messages = this.messageQueue.drain();
+    for (let i = 0; i < messages.length; i++) {
+      try {
+        await this.transmit(messages[i]);
+        const pending = this.pendingRequests.get(messages[i].requestId);
+        if (pending) {
+          pending.queued = false;
+        }
+      } catch (error) {
+        this.messageQueue.requeue(messages.slice(i));
+        return;
+      }
+    }
+  }
+
+  /**
+   * Every parsed frame is checked against its type's schema before it is
+   * answered or routed, so frames that are not objects never reach code
+   * that reads `message.type`
+   */
   handleMessage(message) {
+    const invalid = validateMessage(message);
+    if (invalid) {
+      this.rejectMessage(message, invalid);
+      return;
+    }
+
     if (message.type === MESSAGE_TYPES.PING) {
       this.send({
         type: MESSAGE_TYPES.PONG,
+        pingId: message.pingId,
         timestamp: Date.now()
       }).catch(error => {
       });
       return;
     }
 
+    if (message.type === MESSAGE_TYPES.PONG) {
+      this.metrics.recordPong(message);
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.HELLO) {
+      this.send({
+        ...this.buildHelloMessage(),
+        type: MESSAGE_TYPES.HELLO_ACK,
+        requestId: message.requestId
+      }).catch(error => {
+      });
+      return;
+    }
+
+    if (PROTOCOL_CONFIG.FOLLOW_UP_TYPES.includes(message.type)) {
+      this.emit('message', message);
+      return;
+    }
+
+    if (message.requestId && this.settlePendingRequest(message.requestId, message)) {
+      return;
+    }
+
+    // Late reply to one of our own requests that already timed out
+    if (typeof message.requestId === 'string' && message.requestId.startsWith('ext-')) {
+      return;
+    }
+
     this.emit('message', message);
   }
 
+  /**
+   * Answer an invalid frame with an INVALID_REQUEST error. Invalid `error`
+   * messages are only logged, so the two sides never bounce errors back
+   * and forth.
+   */
+  rejectMessage(message, invalid) {
+    const isObject = message !== null && typeof message === 'object' && !Array.isArray(message);
+    const type = isObject && typeof message.type === 'string' ? message.type : null;
+
+    this.metrics.recordError(ERROR_CODES.INVALID_REQUEST);
+    if (type === MESSAGE_TYPES.ERROR) {
+      console.warn(`Alice sent an invalid error message: ${invalid.message}`);
+      return;
+    }
+
+    const error = {
+      type: MESSAGE_TYPES.ERROR,
+      code: ERROR_CODES.INVALID_REQUEST,
+      message: `Invalid ${type || 'message'}: ${invalid.message}`,
+      timestamp: new Date().toISOString()
+    };
+    if (isObject && typeof message.requestId === 'string' && message.requestId) {
+      error.requestId = message.requestId;
+    }
+    if (invalid.field) {
+      error.field = invalid.field;
+    }
+
+    this.send(error).catch(error => {
+    });
+  }
+
   startPingInterval() {
     this.stopPingInterval();
     this.pingInterval = setInterval(() => {
       if (this.isConnected && this.socket && this.socket.readyState === WebSocket.OPEN) {
-        this.send({
-          type: MESSAGE_TYPES.PING,
-          timestamp: Date.now()
-        }).catch(error => {
+        this.sendPing().catch(error => {
         });
       }
     }, this.config.pingInterval);
   }
 
+  /**
+   * Send a ping tagged with an id so the echoed pong yields a round-trip time
+   */
+  async sendPing() {
+    await this.send({
+      type: MESSAGE_TYPES.PING,
+      pingId: this.metrics.createPing(),
+      timestamp: Date.now()
+    });
+  }
+
   stopPingInterval() {
     if (this.pingInterval) {
       clearInterval(this.pingInterval);
@@ -289,18 +856,28 @@ export class SimplifiedConnectionManager {
   }
 
   getStats() {
+    const config = { ...this.config, authToken: undefined, hasAuthToken: !!this.config.authToken };
     return {
       isConnected: this.isConnected,
       isConnecting: this.isConnecting,
       reconnectAttempts: this.reconnectAttempts,
+      reconnectPolicy: this.reconnectPolicy.getState(),
+      protocol: this.socket ? this.socket.protocol : '',
+      activeEndpoint: this.getActiveEndpoint(),
+      endpointCount: this.config.endpoints.length,
       messageQueueLength: this.messageQueue.length,
-      config: this.config,
+      queuedMessages: this.messageQueue.list(),
+      pendingRequests: this.pendingRequests.size,
+      peer: this.peerInfo,
+      metrics: this.metrics.getSnapshot(),
+      config: config,
       timestamp: new Date().toISOString()
     };
   }
 
   disconnect() {
     this.config.autoReconnect = false;
+    this.cancelScheduledReconnect();
     this.stopPingInterval();
     
     if (this.connectionTimeout) {
@@ -319,7 +896,8 @@ export class SimplifiedConnectionManager {
 
   destroy() {
     this.disconnect();
-    this.messageQueue = [];
+    this.rejectPendingRequests(new Error('Connection manager destroyed'), true);
+    // Queued messages stay persisted for the next service worker
     this.messageHandlers.clear();
     this.connectionHandlers.clear();
   }
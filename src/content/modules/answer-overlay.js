@@ -0,0 +1,401 @@
+const ACTION_TITLES = {
+  summarize: 'Summary',
+  tell_more: 'More about this',
+  summarize_link: 'Linked page',
+  describe_image: 'Image',
+  summarize_page: 'Page summary',
+  ask: 'Ask Alice',
+  follow_up: 'Follow-up'
+};
+
+const PANEL_WIDTH = 360;
+const VIEWPORT_MARGIN = 8;
+
+const STYLES = `
+  :host { all: initial; }
+  .panel {
+    box-sizing: border-box;
+    width: ${PANEL_WIDTH}px;
+    max-height: 420px;
+    display: flex;
+    flex-direction: column;
+    background: #fff;
+    color: #1f2933;
+    border: 1px solid #d9dee3;
+    border-radius: 8px;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.18);
+    font: 13px/1.45 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 8px 12px;
+    border-bottom: 1px solid #eef0f2;
+    font-weight: 600;
+  }
+  .close {
+    border: none;
+    background: none;
+    font-size: 16px;
+    line-height: 1;
+    cursor: pointer;
+    color: #6b7280;
+  }
+  .body {
+    flex: 1;
+    overflow-y: auto;
+    padding: 8px 12px;
+  }
+  .quote {
+    margin: 0 0 8px;
+    padding-left: 8px;
+    border-left: 3px solid #d9dee3;
+    color: #6b7280;
+  }
+  .question {
+    margin: 8px 0 4px;
+    font-weight: 600;
+  }
+  .answer {
+    white-space: pre-wrap;
+    word-wrap: break-word;
+  }
+  .answer.loading { color: #6b7280; font-style: italic; }
+  .answer.error { color: #b42318; }
+  .footer {
+    display: flex;
+    gap: 6px;
+    padding: 8px 12px;
+    border-top: 1px solid #eef0f2;
+  }
+  .footer input {
+    flex: 1;
+    min-width: 0;
+    padding: 4px 6px;
+    border: 1px solid #d9dee3;
+    border-radius: 4px;
+    font: inherit;
+  }
+  .footer button {
+    padding: 4px 10px;
+    border: 1px solid #d9dee3;
+    border-radius: 4px;
+    background: #f5f7f9;
+    font: inherit;
+    cursor: pointer;
+  }
+  .footer button:disabled { opacity: 0.5; cursor: default; }
+`;
+
+/**
+ * Panel showing Alice's answer to a context menu action next to the
+ * selection it was about.
+ *
+ * Rendered in a closed shadow root so page styles and scripts cannot reach
+ * it. Each question is a turn keyed by the requestId Alice answers under;
+ * streamed text is appended to the matching turn. Alice's text is only
+ * ever set through textContent.
+ */
+export class AnswerOverlay {
+  constructor(options = {}) {
+    this.onFollowUp = options.onFollowUp || null;
+    this.onClose = options.onClose || null;
+
+    this.host = null;
+    this.shadow = null;
+    this.elements = null;
+    this.turns = new Map();
+    this.lastRequestId = null;
+    this.selectedText = '';
+  }
+
+  isOpen() {
+    return !!this.host;
+  }
+
+  hasRequest(requestId) {
+    return this.turns.has(requestId);
+  }
+
+  /**
+   * Open the panel for a new action, replacing any open one, whose turns
+   * are reported through onClose. Without a requestId nothing is pending
+   * yet and the question box gets focus.
+   */
+  show({ requestId, action, heading, selectedText, anchorElement }) {
+    if (this.turns.size > 0) {
+      this.close();
+    } else {
+      this.remove();
+    }
+    this.selectedText = selectedText || '';
+
+    const anchor = (selectedText && this.getSelectionRect()) || this.getElementRect(anchorElement);
+    this.host = document.createElement('div');
+    this.host.setAttribute('data-alice-overlay', '');
+    this.host.style.cssText = 'position: absolute; z-index: 2147483647; top: 0; left: 0;';
+    this.shadow = this.host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+
+    const panel = this.createElement('div', 'panel');
+    const header = this.createElement('div', 'header');
+    const title = this.createElement('span', 'title', heading || ACTION_TITLES[action] || 'Alice');
+    const close = this.createElement('button', 'close', '×');
+    close.title = 'Close';
+    close.addEventListener('click', () => this.close());
+    header.append(title, close);
+
+    const body = this.createElement('div', 'body');
+    if (selectedText) {
+      body.appendChild(this.createElement('p', 'quote', this.truncate(selectedText, 280)));
+    }
+
+    const footer = this.createElement('div', 'footer');
+    const copy = this.createElement('button', 'copy', 'Copy');
+    copy.addEventListener('click', () => this.copyAnswer());
+    const input = this.createElement('input', 'follow-up-input');
+    input.type = 'text';
+    input.placeholder = 'Ask a follow-up…';
+    const ask = this.createElement('button', 'ask', 'Ask');
+    ask.addEventListener('click', () => this.submitFollowUp());
+    input.addEventListener('keydown', event => {
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        this.submitFollowUp();
+      } else if (event.key === 'Escape') {
+        this.close();
+      }
+    });
+    footer.append(copy, input, ask);
+
+    panel.append(header, body, footer);
+    this.shadow.append(style, panel);
+    this.elements = { body, copy, input, ask };
+
+    (document.body || document.documentElement).appendChild(this.host);
+    this.position(anchor);
+    if (requestId) {
+      this.addTurn(requestId, null);
+    } else {
+      input.placeholder = 'Ask Alice…';
+      input.focus();
+    }
+  }
+
+  addTurn(requestId, question) {
+    if (!this.elements) {
+      return;
+    }
+
+    if (question) {
+      this.elements.body.appendChild(this.createElement('p', 'question', question));
+    }
+    const answer = this.createElement('div', 'answer loading', 'Alice is thinking…');
+    this.elements.body.appendChild(answer);
+
+    this.turns.set(requestId, { element: answer, text: '', done: false });
+    this.lastRequestId = requestId;
+    this.setBusy(true);
+    this.scrollToEnd();
+  }
+
+  appendChunk(requestId, text) {
+    const turn = this.turns.get(requestId);
+    if (!turn || turn.done || typeof text !== 'string') {
+      return;
+    }
+
+    turn.text += text;
+    turn.element.className = 'answer';
+    turn.element.textContent = turn.text;
+    this.scrollToEnd();
+  }
+
+  /**
+   * Complete a turn. `text`, when given, is the full answer and replaces
+   * whatever was streamed.
+   */
+  finish(requestId, text) {
+    const turn = this.turns.get(requestId);
+    if (!turn || turn.done) {
+      return;
+    }
+
+    if (typeof text === 'string') {
+      turn.text = text;
+    }
+    turn.done = true;
+    turn.element.className = 'answer';
+    turn.element.textContent = turn.text || 'Alice had nothing to add.';
+    this.settle(requestId);
+  }
+
+  fail(requestId, message) {
+    const turn = this.turns.get(requestId);
+    if (!turn || turn.done) {
+      return;
+    }
+
+    turn.done = true;
+    turn.element.className = 'answer error';
+    turn.element.textContent = turn.text
+      ? `${turn.text}\n\n${message}`
+      : message || 'Alice could not answer.';
+    this.settle(requestId);
+  }
+
+  settle(requestId) {
+    if (requestId === this.lastRequestId) {
+      this.setBusy(false);
+    }
+    this.scrollToEnd();
+  }
+
+  async submitFollowUp() {
+    if (!this.elements || !this.onFollowUp) {
+      return;
+    }
+
+    const question = this.elements.input.value.trim();
+    if (!question || this.elements.ask.disabled) {
+      return;
+    }
+
+    this.setBusy(true);
+    try {
+      const requestId = await this.onFollowUp(question, this.lastRequestId, this.selectedText);
+      if (!this.elements) {
+        return;
+      }
+      this.elements.input.value = '';
+      this.addTurn(requestId, question);
+    } catch (error) {
+      if (!this.elements) {
+        return;
+      }
+      this.setBusy(false);
+      this.elements.body.appendChild(
+        this.createElement('div', 'answer error', error.message || 'Could not reach Alice.')
+      );
+      this.scrollToEnd();
+    }
+  }
+
+  async copyAnswer() {
+    const turn = this.turns.get(this.lastRequestId);
+    if (!turn || !turn.text) {
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(turn.text);
+      this.elements.copy.textContent = 'Copied';
+      setTimeout(() => {
+        if (this.elements) {
+          this.elements.copy.textContent = 'Copy';
+        }
+      }, 1500);
+    } catch (error) {
+    }
+  }
+
+  close() {
+    const requestIds = Array.from(this.turns.keys());
+    this.remove();
+    if (this.onClose) {
+      this.onClose(requestIds);
+    }
+  }
+
+  remove() {
+    if (this.host) {
+      this.host.remove();
+    }
+    this.host = null;
+    this.shadow = null;
+    this.elements = null;
+    this.turns.clear();
+    this.lastRequestId = null;
+  }
+
+  setBusy(busy) {
+    if (this.elements) {
+      this.elements.ask.disabled = busy;
+    }
+  }
+
+  scrollToEnd() {
+    if (this.elements) {
+      this.elements.body.scrollTop = this.elements.body.scrollHeight;
+    }
+  }
+
+  getSelectionRect() {
+    try {
+      const selection = window.getSelection();
+      if (selection && selection.rangeCount > 0) {
+        const rect = selection.getRangeAt(0).getBoundingClientRect();
+        if (rect.width || rect.height) {
+          return rect;
+        }
+      }
+    } catch (error) {
+    }
+    return null;
+  }
+
+  getElementRect(element) {
+    if (!element || !element.isConnected) {
+      return null;
+    }
+    const rect = element.getBoundingClientRect();
+    return rect.width || rect.height ? rect : null;
+  }
+
+  /**
+   * Place the panel below the selection or clicked element, or in the top-right corner of the
+   * viewport when there is none, keeping it horizontally on screen
+   */
+  position(anchor) {
+    const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+    let left;
+    let top;
+
+    if (anchor) {
+      left = anchor.left;
+      top = anchor.bottom + VIEWPORT_MARGIN;
+    } else {
+      left = viewportWidth - PANEL_WIDTH - VIEWPORT_MARGIN * 2;
+      top = VIEWPORT_MARGIN * 2;
+    }
+
+    left = Math.max(VIEWPORT_MARGIN, Math.min(left, viewportWidth - PANEL_WIDTH - VIEWPORT_MARGIN));
+    this.host.style.left = `${Math.round(left + window.scrollX)}px`;
+    this.host.style.top = `${Math.round(top + window.scrollY)}px`;
+  }
+
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+
+  truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+  }
+}
+
+let answerOverlayInstance = null;
+
+export function getAnswerOverlay(options) {
+  if (!answerOverlayInstance) {
+    answerOverlayInstance = new AnswerOverlay(options);
+  }
+  return answerOverlayInstance;
+}
@@ -0,0 +1,65 @@
+/**
+ * Commands implemented in the content script and exposed to Alice.
+ *
+ * Registered commands are announced to the background, which adds them to
+ * its request router: Alice sends `{ type, requestId, options }`, the router
+ * resolves the target tab and runs the command's handler in that tab.
+ * `options` holds schema properties for the request options (see
+ * simplified-schemas.js); the handler's return value is sent back as
+ * `responseType`. Commands registered without one announce `null`, and the
+ * background answers them as `command_response`.
+ */
+const commands = new Map();
+
+export function registerContentCommand(type, definition) {
+  if (!definition || typeof definition.handler !== 'function') {
+    throw new Error(`Content command ${type} needs a handler`);
+  }
+
+  commands.set(type, {
+    responseType: null,
+    options: {},
+    ...definition,
+    type: type
+  });
+}
+
+export function getContentCommandDescriptors() {
+  return Array.from(commands.values()).map(command => ({
+    type: command.type,
+    responseType: command.responseType,
+    options: command.options
+  }));
+}
+
+export async function runContentCommand(type, options = {}) {
+  const command = commands.get(type);
+  if (!command) {
+    throw new Error(`Unknown content command: ${type}`);
+  }
+  return command.handler(options);
+}
+
+registerContentCommand('get_headings', {
+  responseType: 'headings_response',
+  options: {
+    maxHeadings: { type: 'integer', minimum: 1 }
+  },
+  handler: ({ maxHeadings = 100 } = {}) => {
+    const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+      .map(element => ({
+        level: Number(element.tagName.charAt(1)),
+        text: (element.textContent || '').replace(/\s+/g, ' ').trim(),
+        id: element.id || null
+      }))
+      .filter(heading => heading.text)
+      .slice(0, maxHeadings);
+
+    return {
+      url: window.location.href,
+      title: document.title || '',
+      headings: headings,
+      count: headings.length
+    };
+  }
+});
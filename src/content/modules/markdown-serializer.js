@@ -0,0 +1,216 @@
+const TRAILING_LIST_MARKER = /(?:^|\n)[ \t]*(?:(?:-|\d+\.)[ \t]+)*(?:-|\d+\.?)$/;
+
+// Line starts Markdown would read as a heading, blockquote, list item or
+// setext underline
+const BLOCK_START_PATTERN = /^(\s*)(#{1,6}(?=\s|$)|>|[-+=](?=\s|$|[-=])|\d{1,9}(?=[.)](?:\s|$)))/;
+
+/**
+ * Escape page text so Markdown reads it literally. Underscores inside
+ * words are left alone, since they cannot open emphasis there.
+ */
+export function escapeMarkdownText(text) {
+  return text
+    .replace(/[\\`*[\]<~]/g, '\\$&')
+    .replace(/(?<![\p{L}\p{N}])_|_(?![\p{L}\p{N}])/gu, '\\_');
+}
+
+/**
+ * Escape a block marker at the start of each line of `text`
+ */
+export function escapeBlockStarts(text) {
+  return text.split('\n').map(line => line.replace(BLOCK_START_PATTERN, (match, indent, marker) =>
+    /^\d/.test(marker) ? `${indent}${marker}\\` : `${indent}\\${marker}`
+  )).join('\n');
+}
+
+/**
+ * A link or image destination that survives Markdown parsing: URLs with
+ * spaces or parentheses go in angle brackets, with the characters that
+ * cannot appear there percent-encoded
+ */
+export function toMarkdownDestination(url) {
+  if (!/[\s()<>]/.test(url)) {
+    return url;
+  }
+  const encoded = url.replace(/[\s<>]/g, char =>
+    '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')
+  );
+  return `<${encoded}>`;
+}
+
+/**
+ * `![alt](src)`, or just the alt text for data: URIs, whose base64 would
+ * use up the token budget without telling the reader anything
+ */
+export function toMarkdownImage(alt, src) {
+  const text = (alt || '').replace(/\s+/g, ' ').replace(/[[\]]/g, '').trim();
+  if (!src || /^data:/i.test(src)) {
+    return text ? `[Image: ${text}]` : '';
+  }
+  return `![${text}](${toMarkdownDestination(src)})`;
+}
+
+/**
+ * Writes StructuredExtractor blocks (extracted with `inlineMarkdown`, so
+ * page text is already escaped) as Markdown: ATX headings, nested lists,
+ * pipe tables, fenced code with the detected language, blockquotes and
+ * figures as `![alt](src)` images. Lines of paragraphs, blockquotes and
+ * list items that would start a block of their own are escaped.
+ */
+export class MarkdownSerializer {
+  /**
+   * Blocks are added whole while they fit in `maxChars`; a first block
+   * that alone is too long is cut (code keeps its closing fence)
+   */
+  serialize(blocks, { maxChars = Infinity } = {}) {
+    const parts = [];
+    let length = 0;
+    let truncated = false;
+
+    for (const block of blocks) {
+      const markdown = this.serializeBlock(block);
+      if (!markdown) {
+        continue;
+      }
+
+      const added = (parts.length > 0 ? 2 : 0) + markdown.length;
+      if (length + added > maxChars) {
+        if (parts.length === 0) {
+          parts.push(this.cutBlock(block, markdown, maxChars));
+        }
+        truncated = true;
+        break;
+      }
+
+      parts.push(markdown);
+      length += added;
+    }
+
+    return {
+      markdown: parts.join('\n\n'),
+      truncated: truncated
+    };
+  }
+
+  /**
+   * Cut a block's Markdown to `maxChars`. Code keeps its closing fence, and
+   * a list loses trailing list markers whose item text was cut away.
+   */
+  cutBlock(block, markdown, maxChars) {
+    if (block.type === 'list') {
+      let cut = markdown.substring(0, maxChars).trimEnd();
+      while (TRAILING_LIST_MARKER.test(cut)) {
+        cut = cut.replace(TRAILING_LIST_MARKER, '').trimEnd();
+      }
+      return cut;
+    }
+    if (block.type !== 'code') {
+      return markdown.substring(0, maxChars).trimEnd();
+    }
+    const overhead = markdown.length - block.text.length;
+    return this.serializeCode({
+      ...block,
+      text: block.text.substring(0, Math.max(0, maxChars - overhead)).trimEnd()
+    });
+  }
+
+  serializeBlock(block) {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${this.singleLine(block.text)}`;
+      case 'paragraph':
+        return escapeBlockStarts(block.text);
+      case 'list':
+        return this.serializeList(block, '');
+      case 'table':
+        return this.serializeTable(block);
+      case 'code':
+        return this.serializeCode(block);
+      case 'blockquote':
+        return escapeBlockStarts(block.text).split('\n').map(line => `> ${line}`).join('\n');
+      case 'figure':
+        return this.serializeFigure(block);
+      default:
+        return '';
+    }
+  }
+
+  serializeList(list, indent) {
+    const lines = [];
+
+    list.items.forEach((item, index) => {
+      const marker = list.ordered ? `${index + 1}. ` : '- ';
+      const continuation = indent + ' '.repeat(marker.length);
+      // An item holding only a nested list starts it on the marker line,
+      // as `- 1. text`, rather than leaving an empty `- ` line
+      if (!item.text && item.list) {
+        lines.push(indent + marker + this.serializeList(item.list, continuation).trimStart());
+        return;
+      }
+
+      const [first, ...rest] = escapeBlockStarts(item.text).split('\n');
+      lines.push(indent + marker + first);
+      rest.forEach(line => lines.push(continuation + line));
+      if (item.list) {
+        lines.push(this.serializeList(item.list, continuation));
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Markdown tables need a header row, so a table without one uses its
+   * first row
+   */
+  serializeTable(table) {
+    const rows = table.headers.length > 0 ? [table.headers, ...table.rows] : table.rows;
+    const columns = Math.max(...rows.map(row => row.length));
+    const line = row => {
+      const cells = Array.from({ length: columns }, (_, index) =>
+        this.singleLine(row[index] || '').replace(/\|/g, '\\|')
+      );
+      return `| ${cells.join(' | ')} |`;
+    };
+
+    const lines = [
+      line(rows[0]),
+      `| ${Array(columns).fill('---').join(' | ')} |`,
+      ...rows.slice(1).map(line)
+    ];
+    if (table.caption) {
+      lines.unshift(`*${this.singleLine(table.caption)}*`, '');
+    }
+    return lines.join('\n');
+  }
+
+  serializeCode(block) {
+    const longestRun = Math.max(0, ...(block.text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    const code = `${fence}${block.language || ''}\n${block.text}\n${fence}`;
+    return block.caption ? `*${this.singleLine(block.caption)}*\n\n${code}` : code;
+  }
+
+  serializeFigure(figure) {
+    const lines = figure.images
+      .map(image => toMarkdownImage(image.alt, image.src))
+      .filter(Boolean);
+    if (figure.caption) {
+      lines.push(`*${this.singleLine(figure.caption)}*`);
+    }
+    return lines.join('\n');
+  }
+
+  singleLine(text) {
+    return (text || '').replace(/\s*\n\s*/g, ' ');
+  }
+}
+
+let markdownSerializerInstance = null;
+
+export function getMarkdownSerializer() {
+  if (!markdownSerializerInstance) {
+    markdownSerializerInstance = new MarkdownSerializer();
+  }
+  return markdownSerializerInstance;
+}
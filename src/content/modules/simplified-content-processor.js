@@ -2,6 +2,8 @@ import { getMemoryManager, createMemoryEfficientScanner } from '../../shared/uti
 import { getTextSummarizer } from '../../shared/utils/text-summarizer.js';
 import { getSemanticChunker } from '../../shared/utils/semantic-chunker.js';
 import { getMetadataEnricher } from '../../shared/utils/metadata-enricher.js';
+import { getStructuredExtractor } from './structured-extractor.js';
+import { getMarkdownSerializer } from './markdown-serializer.js';
 
 export class SimplifiedContentProcessor {
   constructor() {
@@ -64,7 +66,13 @@ export class SimplifiedContentProcessor {
         
         /(javascript:|#$|mailto:|tel:)/i,
         /\.(pdf|doc|docx|xls|xlsx|zip|rar|exe)$/i
-      ]
+      ],
+      
+      blockSelector: 'p, li, blockquote, pre, td, th, dd, dt, figcaption, h1, h2, h3, h4, h5, h6',
+      maxSelectionParagraphs: 5,
+      maxParagraphLength: 1500,
+      // Same length hypothes.is uses for text-quote prefixes and suffixes
+      quoteContextLength: 32
     };
     
     this.memoryManager = getMemoryManager();
@@ -75,6 +83,9 @@ export class SimplifiedContentProcessor {
     
     this.metadataEnricher = getMetadataEnricher();
     
+    this.structuredExtractor = getStructuredExtractor();
+    this.markdownSerializer = getMarkdownSerializer();
+    
     this.cacheTimeout = 30000;
   }
 
@@ -133,6 +144,18 @@ export class SimplifiedContentProcessor {
     context.metadata.readingTime = this.calculateReadingTime(mainContent.wordCount);
     context.metadata.contentQuality = this.assessContentQuality(mainContent);
 
+    // 'structured' sends only the blocks, 'both' sends them next to the text
+    if (format === 'structured' || format === 'both') {
+      context.structuredContent = this.extractStructuredContent(mainContent.elements, maxTokens);
+      if (format === 'structured') {
+        context.content = '';
+      }
+    }
+
+    if (format === 'markdown') {
+      context.content = this.extractMarkdown(mainContent.elements, maxTokens);
+    }
+
     if (includeLinks) {
       context.links = this.extractRelevantLinks();
     }
@@ -146,21 +169,108 @@ export class SimplifiedContentProcessor {
     return context;
   }
 
-  extractMainContent(maxTokens) {
+  /**
+   * Extract the context like extractContext, but hand the content to
+   * `onText` one element at a time as it is read, yielding to the event
+   * loop in between. Content past maxTokens is cut rather than summarized,
+   * since the start has already gone out. Resolves to the context without
+   * `content`, or to null once `isCancelled()` returns true.
+   */
+  async streamContext(options, onText, isCancelled = () => false) {
+    const {
+      format = 'text',
+      maxTokens = 2000,
+      includeLinks = true,
+      includeSelection = true
+    } = options;
+
+    // No text to stream, only blocks
+    if (format === 'structured') {
+      const { content, ...context } = this.extractContext(options);
+      return context;
+    }
+
+    const maxChars = maxTokens * 4;
+    const elements = [];
+    let text = '';
+    let separator = '';
+
+    for (const { element } of this.selectMainContentElements()) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (isCancelled()) {
+        return null;
+      }
+
+      const remaining = maxChars - text.length - separator.length;
+      const elementText = format === 'markdown'
+        ? this.extractMarkdown([element], remaining / 4)
+        : this.extractElementText(element).trim();
+      if (remaining <= 0 || !elementText) {
+        continue;
+      }
+
+      const piece = (separator + elementText).substring(0, maxChars - text.length);
+      text += piece;
+      elements.push(element);
+      onText(piece);
+
+      separator = format === 'markdown' ? '\n\n' : this.getElementSeparator(element, elements.length - 1);
+      if (text.length >= maxChars) {
+        break;
+      }
+    }
+
+    const wordCount = this.countWords(text);
+    const context = {
+      url: window.location.href,
+      title: document.title || '',
+      links: [],
+      selection: '',
+      metadata: {
+        wordCount: wordCount,
+        readingTime: this.calculateReadingTime(wordCount),
+        contentQuality: this.assessContentQuality({ text, wordCount, elements }),
+        format: format
+      }
+    };
+
+    if (format === 'both') {
+      context.structuredContent = this.extractStructuredContent(elements, maxTokens);
+    }
+
+    if (includeLinks) {
+      context.links = this.extractRelevantLinks();
+    }
+
+    if (includeSelection) {
+      context.selection = this.extractSelection();
+    }
+
+    return context;
+  }
+
+  /**
+   * The ten best-scoring content elements, minus those nested in a
+   * better-scoring pick, best first
+   */
+  selectMainContentElements() {
     const contentElements = this.findContentElements();
+    contentElements.sort((a, b) => b.score - a.score);
+
+    // Smart selection: avoid redundant content
+    return this.selectNonOverlappingElements(contentElements.slice(0, 10));
+  }
+
+  extractMainContent(maxTokens) {
+    const selectedElements = this.selectMainContentElements();
     
-    if (contentElements.length === 0) {
+    if (selectedElements.length === 0) {
       return {
         text: '',
         wordCount: 0,
         elements: []
       };
     }
-
-    contentElements.sort((a, b) => b.score - a.score);
-    
-    // Smart selection: avoid redundant content
-    const selectedElements = this.selectNonOverlappingElements(contentElements.slice(0, 10));
     
     let text = '';
     const elements = [];
@@ -399,6 +509,32 @@ export class SimplifiedContentProcessor {
     return text.trim();
   }
 
+  /**
+   * Headings, paragraphs, lists, tables, code, blockquotes and figures of
+   * the main content elements, in document order and within the same
+   * maxTokens budget as the text
+   */
+  extractStructuredContent(elements, maxTokens) {
+    return this.structuredExtractor.extract(elements, {
+      title: document.title || '',
+      maxChars: maxTokens * 4
+    });
+  }
+
+  /**
+   * The main content elements as Markdown, cut at a block boundary to
+   * stay within maxTokens
+   */
+  extractMarkdown(elements, maxTokens) {
+    const maxChars = maxTokens * 4;
+    const structured = this.structuredExtractor.extract(elements, {
+      maxChars: maxChars,
+      inlineMarkdown: true
+    });
+
+    return this.markdownSerializer.serialize(structured.blocks, { maxChars: maxChars }).markdown;
+  }
+
   extractRelevantLinks() {
     const allLinks = Array.from(document.querySelectorAll('a[href]'));
     const scoredLinks = [];
@@ -587,6 +723,176 @@ export class SimplifiedContentProcessor {
     return selection.toString().trim();
   }
 
+  /**
+   * The selection with what is needed to understand and find it again:
+   * the paragraph(s) it sits in, the headings above it (outermost first)
+   * and a W3C text-quote selector. Returns null without a selection.
+   */
+  extractSelectionContext() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) {
+      return null;
+    }
+    
+    const range = selection.getRangeAt(0);
+    // Range text, like prefix and suffix, so the three join into one
+    // stretch of the page's text nodes
+    const exact = range.toString();
+    if (!exact.trim()) {
+      return null;
+    }
+    
+    const startBlock = this.findEnclosingBlock(range.startContainer);
+    const endBlock = this.findEnclosingBlock(range.endContainer);
+    
+    return {
+      text: exact.trim(),
+      paragraphs: this.collectBlocks(startBlock, endBlock)
+        .map(block => this.normalizeBlockText(block))
+        .filter(Boolean),
+      headingTrail: this.buildHeadingTrail(startBlock || range.startContainer),
+      quote: {
+        type: 'TextQuoteSelector',
+        exact: exact,
+        prefix: this.textOutsideRange(range, 'before'),
+        suffix: this.textOutsideRange(range, 'after')
+      }
+    };
+  }
+
+  findEnclosingBlock(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    if (!element) {
+      return null;
+    }
+    return element.closest(this.config.blockSelector) ||
+      element.closest('div, section, article, main') ||
+      null;
+  }
+
+  /**
+   * Blocks from the one holding the selection start to the one holding its
+   * end, in document order
+   */
+  collectBlocks(startBlock, endBlock) {
+    if (!startBlock) {
+      return [];
+    }
+    if (!endBlock || startBlock === endBlock || startBlock.contains(endBlock)) {
+      return [startBlock];
+    }
+    if (endBlock.contains(startBlock)) {
+      return [endBlock];
+    }
+    
+    const blocks = [startBlock];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT, {
+      acceptNode: node => (node.matches(this.config.blockSelector)
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_SKIP)
+    });
+    walker.currentNode = startBlock;
+    
+    let node = walker.nextNode();
+    while (node && blocks.length < this.config.maxSelectionParagraphs) {
+      if (!blocks.some(block => block.contains(node))) {
+        blocks.push(node);
+      }
+      if (node === endBlock) {
+        break;
+      }
+      node = walker.nextNode();
+    }
+    return blocks;
+  }
+
+  normalizeBlockText(block) {
+    const text = (block.innerText || block.textContent || '').replace(/\s+/g, ' ').trim();
+    return text.length > this.config.maxParagraphLength
+      ? `${text.slice(0, this.config.maxParagraphLength - 1)}…`
+      : text;
+  }
+
+  /**
+   * Nearest heading before the node, then the nearest higher-level heading
+   * before that, and so on up to h1
+   */
+  buildHeadingTrail(node) {
+    const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+    const trail = [];
+    let level = 7;
+    
+    for (let i = headings.length - 1; i >= 0 && level > 1; i--) {
+      const heading = headings[i];
+      // Also true when the node is inside the heading
+      const precedes = heading.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING;
+      const headingLevel = Number(heading.tagName.charAt(1));
+      
+      if (precedes && headingLevel < level) {
+        const text = (heading.textContent || '').replace(/\s+/g, ' ').trim();
+        if (text) {
+          trail.unshift({ level: headingLevel, text: text });
+          level = headingLevel;
+        }
+      }
+    }
+    return trail;
+  }
+
+  /**
+   * Up to quoteContextLength characters of visible text right before or
+   * after the range, read from the text nodes next to its boundary
+   * outward until enough is collected
+   */
+  textOutsideRange(range, side) {
+    const limit = this.config.quoteContextLength;
+    const before = side === 'before';
+    const container = before ? range.startContainer : range.endContainer;
+    const offset = before ? range.startOffset : range.endOffset;
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (this.isQuotableText(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+    });
+    let text = '';
+
+    if (container.nodeType === Node.TEXT_NODE) {
+      walker.currentNode = container;
+      if (this.isQuotableText(container)) {
+        text = before ? container.data.slice(0, offset) : container.data.slice(offset);
+      }
+    } else {
+      // The boundary sits between two children: start from the one after
+      // it, or from the container's last node when it is at the end
+      const child = container.childNodes[offset];
+      let start = child || container;
+      while (!child && start.lastChild) {
+        start = start.lastChild;
+      }
+      walker.currentNode = start;
+
+      const startIsOutside = before ? !child : !!child;
+      if (startIsOutside && start.nodeType === Node.TEXT_NODE && this.isQuotableText(start)) {
+        text = start.data;
+      }
+    }
+
+    while (text.length < limit) {
+      const node = before ? walker.previousNode() : walker.nextNode();
+      if (!node) {
+        break;
+      }
+      text = before ? node.data + text : text + node.data;
+    }
+
+    return before ? text.slice(-limit) : text.slice(0, limit);
+  }
+
+  isQuotableText(node) {
+    const parent = node.parentElement;
+    return !!parent &&
+      !parent.closest('script, style, noscript, template, [hidden], [aria-hidden="true"]') &&
+      parent.getClientRects().length > 0;
+  }
+
   countWords(text) {
     return text.trim().split(/\s+/).filter(word => word.length > 0).length;
   }
@@ -754,6 +1060,14 @@ export class SimplifiedContentProcessor {
     }
   }
 
+  /**
+   * Drop the cached context for these options, e.g. after Alice cancelled
+   * the request that produced it
+   */
+  releaseCachedContext(options) {
+    this.memoryManager.removeCachedData(this.getCacheKey(options));
+  }
+
   getCacheKey(options) {
     return JSON.stringify({
       url: window.location.href,
@@ -822,7 +1136,7 @@ export class SimplifiedContentProcessor {
       customMetadata = {}
     } = options;
 
-    const content = this.extractMainContent(maxTokens);
+    const content = this.withStructuredContent(this.extractMainContent(maxTokens), maxTokens);
     
     const enrichedContent = this.metadataEnricher.enrichContent(content, {
       enableQualityAssessment,
@@ -837,7 +1151,7 @@ export class SimplifiedContentProcessor {
 
   getContentQualityAssessment(options = {}) {
     const { maxTokens = 2000 } = options;
-    const content = this.extractMainContent(maxTokens);
+    const content = this.withStructuredContent(this.extractMainContent(maxTokens), maxTokens);
     
     return this.metadataEnricher.assessContentQuality(content);
   }
@@ -858,11 +1172,21 @@ export class SimplifiedContentProcessor {
 
   getContentStructureAnalysis(options = {}) {
     const { maxTokens = 2000 } = options;
-    const content = this.extractMainContent(maxTokens);
+    const content = this.withStructuredContent(this.extractMainContent(maxTokens), maxTokens);
     
     return this.metadataEnricher.analyzeContentStructure(content);
   }
 
+  /**
+   * The enricher's structure scoring reads structuredContent.headings/lists
+   */
+  withStructuredContent(content, maxTokens) {
+    return {
+      ...content,
+      structuredContent: this.extractStructuredContent(content.elements, maxTokens)
+    };
+  }
+
   destroy() {
     if (this.observer) {
       this.observer.disconnect();
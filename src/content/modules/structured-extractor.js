@@ -0,0 +1,528 @@
+import { escapeMarkdownText, toMarkdownDestination, toMarkdownImage } from './markdown-serializer.js';
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl',
+  'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2',
+  'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe',
+  'nav', 'aside', 'footer', 'form', 'button', 'input', 'select', 'textarea',
+  'dialog'
+]);
+
+const LANGUAGE_CLASS_PATTERN = /(?:^|\s)(?:language|lang)-([\w+#-]+)/;
+
+const INLINE_MARKERS = {
+  strong: '**',
+  b: '**',
+  em: '*',
+  i: '*',
+  del: '~~',
+  s: '~~'
+};
+
+/**
+ * Turns the main content elements into typed blocks in document order:
+ * headings, paragraphs, lists, tables, code blocks, blockquotes and
+ * figures. Besides `blocks`, the result has per-type views of the same
+ * objects (`headings`, `lists`, ...) and an `outline` heading tree, which
+ * is what MetadataEnricher.analyzeContentStructure reads.
+ */
+export class StructuredExtractor {
+  constructor(options = {}) {
+    this.config = {
+      maxListDepth: options.maxListDepth || 4,
+      maxTableRows: options.maxTableRows || 50,
+      maxFigureImages: options.maxFigureImages || 5
+    };
+  }
+
+  /**
+   * Extract blocks from `elements` until `maxChars` characters of text
+   * have been collected. With `inlineMarkdown`, block text keeps emphasis,
+   * links, inline code and images as Markdown.
+   */
+  extract(elements, { title = '', maxChars = Infinity, inlineMarkdown = false } = {}) {
+    const state = {
+      blocks: [],
+      chars: 0,
+      maxChars: maxChars,
+      inlineMarkdown: inlineMarkdown,
+      truncated: false
+    };
+
+    const roots = [...elements].sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+    for (const root of roots) {
+      if (state.truncated) {
+        break;
+      }
+      this.walk(root, state);
+    }
+
+    return this.buildResult(title, state);
+  }
+
+  walk(element, state) {
+    const buffer = [];
+    const flush = () => {
+      const text = this.normalizeText(buffer.join(''));
+      buffer.length = 0;
+      if (text) {
+        this.addBlock(state, { type: 'paragraph', text: text });
+      }
+    };
+
+    for (const node of element.childNodes) {
+      if (state.truncated) {
+        return;
+      }
+
+      if (node.nodeType === Node.TEXT_NODE) {
+        buffer.push(this.readText(node, state));
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || this.isSkipped(node)) {
+        continue;
+      }
+
+      const tagName = node.tagName.toLowerCase();
+      if (!BLOCK_TAGS.has(tagName)) {
+        buffer.push(this.readInline(node, state));
+        continue;
+      }
+
+      flush();
+      this.readBlock(node, tagName, state);
+    }
+    flush();
+  }
+
+  readBlock(element, tagName, state) {
+    switch (tagName) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6': {
+        const text = this.normalizeText(this.readInline(element, state));
+        if (text) {
+          this.addBlock(state, {
+            type: 'heading',
+            level: Number(tagName.charAt(1)),
+            text: text,
+            id: element.id || undefined
+          });
+        }
+        return;
+      }
+      case 'p': {
+        const text = this.normalizeText(this.readInline(element, state));
+        if (text) {
+          this.addBlock(state, { type: 'paragraph', text: text });
+        }
+        return;
+      }
+      case 'ul':
+      case 'ol': {
+        const list = this.readList(element, 1, state);
+        if (list.items.length > 0) {
+          this.addBlock(state, list);
+        }
+        return;
+      }
+      case 'table': {
+        const table = this.readTable(element, state);
+        if (table.rows.length > 0) {
+          this.addBlock(state, table);
+        }
+        return;
+      }
+      case 'pre': {
+        const text = element.textContent.replace(/^\n+|\s+$/g, '');
+        if (text) {
+          this.addBlock(state, {
+            type: 'code',
+            language: this.detectLanguage(element),
+            text: text
+          });
+        }
+        return;
+      }
+      case 'blockquote': {
+        const text = this.normalizeText(this.readInline(element, state));
+        if (text) {
+          this.addBlock(state, {
+            type: 'blockquote',
+            text: text,
+            cite: element.getAttribute('cite') || undefined
+          });
+        }
+        return;
+      }
+      case 'figure':
+        this.readFigure(element, state);
+        return;
+      case 'hr':
+        return;
+      default:
+        this.walk(element, state);
+    }
+  }
+
+  /**
+   * Items keep their own text separate from nested lists, which become
+   * `items[n].list`
+   */
+  readList(element, depth, state) {
+    const list = {
+      type: 'list',
+      ordered: element.tagName.toLowerCase() === 'ol',
+      items: []
+    };
+
+    for (const item of element.children) {
+      if (item.tagName.toLowerCase() !== 'li' || this.isSkipped(item)) {
+        continue;
+      }
+
+      let text = '';
+      let nested = null;
+      for (const node of item.childNodes) {
+        const tagName = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toLowerCase() : '';
+        if ((tagName === 'ul' || tagName === 'ol') && depth < this.config.maxListDepth) {
+          nested = this.readList(node, depth + 1, state);
+        } else {
+          text += this.readInline(node, state);
+        }
+      }
+
+      const entry = { text: this.normalizeText(text) };
+      if (nested && nested.items.length > 0) {
+        entry.list = nested;
+      }
+      if (entry.text || entry.list) {
+        list.items.push(entry);
+      }
+    }
+
+    return list;
+  }
+
+  /**
+   * Header cells come from <thead>, or from a first row made only of <th>
+   */
+  readTable(element, state) {
+    const table = {
+      type: 'table',
+      caption: undefined,
+      headers: [],
+      rows: []
+    };
+
+    const caption = element.querySelector(':scope > caption');
+    if (caption) {
+      table.caption = this.normalizeText(this.readInline(caption, state)) || undefined;
+    }
+
+    const rows = Array.from(element.rows || []);
+    for (const row of rows) {
+      const cells = Array.from(row.cells).map(cell => this.normalizeText(this.readInline(cell, state)));
+      const isHeader = row.parentElement.tagName.toLowerCase() === 'thead' ||
+        (table.headers.length === 0 && table.rows.length === 0 &&
+          Array.from(row.cells).every(cell => cell.tagName.toLowerCase() === 'th'));
+
+      if (isHeader && table.headers.length === 0) {
+        table.headers = cells;
+      } else if (cells.some(Boolean)) {
+        table.rows.push(cells);
+        if (table.rows.length >= this.config.maxTableRows) {
+          table.truncated = true;
+          break;
+        }
+      }
+    }
+
+    return table;
+  }
+
+  /**
+   * Image figures become figure blocks; figures wrapping a table or code
+   * are read as those, with the caption attached
+   */
+  readFigure(element, state) {
+    const figcaption = element.querySelector('figcaption');
+    const caption = figcaption ? this.normalizeText(this.readInline(figcaption, state)) : '';
+    const images = Array.from(element.querySelectorAll('img'))
+      .slice(0, this.config.maxFigureImages)
+      .map(image => {
+        const src = image.currentSrc || image.src || '';
+        return {
+          // Inline data: URIs are left out rather than sent as base64
+          src: /^data:/i.test(src) ? null : src,
+          alt: image.alt || ''
+        };
+      });
+
+    if (images.length === 0) {
+      const before = state.blocks.length;
+      this.walk(element, state);
+      const first = state.blocks[before];
+      if (caption && first && (first.type === 'table' || first.type === 'code') && !first.caption) {
+        first.caption = caption;
+        const captionBlock = state.blocks.findIndex((block, index) =>
+          index > before && block.type === 'paragraph' && block.text === caption
+        );
+        if (captionBlock !== -1) {
+          state.blocks.splice(captionBlock, 1);
+        }
+      }
+      return;
+    }
+
+    this.addBlock(state, {
+      type: 'figure',
+      caption: caption || undefined,
+      images: images
+    });
+  }
+
+  /**
+   * Text of a node and its descendants, leaving out skipped ones such as
+   * buttons and hidden spans; Markdown for emphasis, links, inline code and
+   * images when the extraction asked for it
+   */
+  /**
+   * Page text, escaped with `inlineMarkdown` so only the markers added here
+   * are read as Markdown
+   */
+  readText(node, state) {
+    return state.inlineMarkdown ? escapeMarkdownText(node.textContent) : node.textContent;
+  }
+
+  readInline(node, state) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return this.readText(node, state);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || this.isSkipped(node)) {
+      return '';
+    }
+
+    const tagName = node.tagName.toLowerCase();
+    if (tagName === 'br') {
+      return '\n';
+    }
+    if (!state.inlineMarkdown) {
+      const text = Array.from(node.childNodes).map(child => this.readInline(child, state)).join('');
+      return BLOCK_TAGS.has(tagName) ? `\n${text}\n` : text;
+    }
+
+    if (tagName === 'img') {
+      return toMarkdownImage(node.alt, node.currentSrc || node.src);
+    }
+    if (tagName === 'code') {
+      const code = node.textContent.replace(/\s+/g, ' ');
+      const fence = code.includes('`') ? '``' : '`';
+      return code.trim() ? `${fence}${code}${fence}` : code;
+    }
+
+    const inner = Array.from(node.childNodes).map(child => this.readInline(child, state)).join('');
+    if (tagName === 'a') {
+      const href = node.href || '';
+      return /^https?:/.test(href) && inner.trim()
+        ? this.wrapInline(inner, '[', `](${toMarkdownDestination(href)})`)
+        : inner;
+    }
+    if (INLINE_MARKERS[tagName]) {
+      return this.wrapInline(inner, INLINE_MARKERS[tagName], INLINE_MARKERS[tagName]);
+    }
+    return BLOCK_TAGS.has(tagName) ? `\n${inner}\n` : inner;
+  }
+
+  /**
+   * Keep surrounding whitespace outside the markers, as `**bold** text`
+   * rather than `**bold **text`
+   */
+  wrapInline(text, open, close) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${open}${match[2]}${close}${match[3]}` : text;
+  }
+
+  detectLanguage(pre) {
+    const candidates = [pre, pre.querySelector('code')].filter(Boolean);
+    for (const element of candidates) {
+      const match = (element.className || '').match(LANGUAGE_CLASS_PATTERN);
+      if (match) {
+        return match[1].toLowerCase();
+      }
+      const dataLanguage = element.getAttribute('data-lang') || element.getAttribute('data-language');
+      if (dataLanguage) {
+        return dataLanguage.toLowerCase();
+      }
+    }
+    return null;
+  }
+
+  isSkipped(element) {
+    if (SKIPPED_TAGS.has(element.tagName.toLowerCase())) {
+      return true;
+    }
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+    return BLOCK_TAGS.has(element.tagName.toLowerCase()) &&
+      window.getComputedStyle(element).display === 'none';
+  }
+
+  /**
+   * Blocks are added whole while they fit; a first block that alone is
+   * over the budget is cut to it
+   */
+  addBlock(state, block) {
+    const length = this.blockTextLength(block);
+    if (state.chars + length > state.maxChars) {
+      state.truncated = true;
+      if (state.blocks.length > 0) {
+        return;
+      }
+      block = this.cutBlock(block, state.maxChars);
+    }
+    state.chars += this.blockTextLength(block);
+    state.blocks.push(block);
+  }
+
+  /**
+   * A list holding just the first item cut to `maxChars`, with what is left
+   * spent on its nested list. An item with no text of its own is replaced
+   * by its cut nested list, so no empty `- ` line is left behind.
+   */
+  cutListItem(list, item, maxChars) {
+    const text = item.text.substring(0, maxChars);
+    const nested = item.list && maxChars > text.length
+      ? this.cutBlock(item.list, maxChars - text.length)
+      : null;
+
+    if (!text) {
+      return nested || { ...list, items: [] };
+    }
+    const entry = { text: text };
+    if (nested && nested.items.length > 0) {
+      entry.list = nested;
+    }
+    return { ...list, items: [entry] };
+  }
+
+  cutBlock(block, maxChars) {
+    switch (block.type) {
+      case 'list': {
+        const items = [];
+        let used = 0;
+        for (const item of block.items) {
+          const itemLength = this.blockTextLength({ type: 'list', items: [item] });
+          if (used + itemLength > maxChars) {
+            if (items.length === 0) {
+              return this.cutListItem(block, item, maxChars);
+            }
+            break;
+          }
+          items.push(item);
+          used += itemLength;
+        }
+        return { ...block, items: items };
+      }
+      case 'table': {
+        const headerLength = Math.floor(maxChars / Math.max(1, block.headers.length * 2));
+        const headers = block.headers.map(cell => cell.substring(0, headerLength));
+        let used = headers.join(' ').length;
+        const rows = [];
+        for (const row of block.rows) {
+          const rowLength = row.join(' ').length;
+          if (used + rowLength > maxChars) {
+            break;
+          }
+          rows.push(row);
+          used += rowLength;
+        }
+        if (rows.length === 0) {
+          const cellLength = Math.max(0, Math.floor((maxChars - used) / Math.max(1, block.rows[0].length)));
+          rows.push(block.rows[0].map(cell => cell.substring(0, cellLength)));
+        }
+        return { ...block, headers: headers, rows: rows, truncated: true };
+      }
+      case 'figure':
+        return { ...block, caption: block.caption ? block.caption.substring(0, maxChars) : block.caption };
+      default:
+        return { ...block, text: block.text.substring(0, maxChars) };
+    }
+  }
+
+  blockTextLength(block) {
+    switch (block.type) {
+      case 'list':
+        return block.items.reduce((total, item) =>
+          total + item.text.length + (item.list ? this.blockTextLength(item.list) : 0), 0);
+      case 'table':
+        return [block.headers, ...block.rows].reduce((total, row) => total + row.join(' ').length, 0);
+      case 'figure':
+        return (block.caption || '').length;
+      default:
+        return block.text.length;
+    }
+  }
+
+  buildResult(title, state) {
+    const ofType = type => state.blocks.filter(block => block.type === type);
+    const headings = ofType('heading');
+
+    return {
+      title: title,
+      blocks: state.blocks,
+      outline: this.buildOutline(headings),
+      headings: headings,
+      paragraphs: ofType('paragraph').map(block => block.text),
+      lists: ofType('list').map(list => ({ ...list, type: list.ordered ? 'ordered' : 'unordered' })),
+      tables: ofType('table'),
+      codeBlocks: ofType('code'),
+      blockquotes: ofType('blockquote'),
+      figures: ofType('figure'),
+      truncated: state.truncated
+    };
+  }
+
+  /**
+   * Nest headings under the closest preceding heading of a higher level
+   */
+  buildOutline(headings) {
+    const outline = [];
+    const stack = [];
+
+    for (const heading of headings) {
+      const node = { level: heading.level, text: heading.text, children: [] };
+      while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+        stack.pop();
+      }
+      (stack.length > 0 ? stack[stack.length - 1].children : outline).push(node);
+      stack.push(node);
+    }
+
+    return outline;
+  }
+
+  normalizeText(text) {
+    return (text || '').replace(/[ \t\r\f\v\u00a0]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  }
+}
+
+let structuredExtractorInstance = null;
+
+export function getStructuredExtractor() {
+  if (!structuredExtractorInstance) {
+    structuredExtractorInstance = new StructuredExtractor();
+  }
+  return structuredExtractorInstance;
+}
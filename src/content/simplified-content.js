@@ -1,7 +1,19 @@
 let contentProcessor = null;
+let contentCommands = null;
+let answerOverlay = null;
 let isContentScriptReady = false;
 let moduleLoadError = null;
 
+// requestId -> extraction options, so a cancelled request's cached
+// result can be found and dropped
+const requestCacheOptions = new Map();
+const MAX_TRACKED_REQUESTS = 20;
+
+// Element last right-clicked, described to the background for link and
+// image context menu actions and used to anchor the answer overlay
+let lastContextMenuTarget = null;
+const MAX_CAPTION_LENGTH = 500;
+
 if (typeof window !== 'undefined') {
   window.isSimplifiedContentScriptReady = function() {
     return isContentScriptReady;
@@ -12,6 +24,17 @@ async function loadModules() {
   try {
     const module = await import('./modules/simplified-content-processor.js');
     contentProcessor = module.getSimplifiedContentProcessor();
+    contentCommands = await import('./modules/content-commands.js');
+    const overlayModule = await import('./modules/answer-overlay.js');
+    answerOverlay = overlayModule.getAnswerOverlay({
+      onFollowUp: requestAnswerFollowUp,
+      onClose: (requestIds) => {
+        chrome.runtime.sendMessage({
+          type: 'answer-overlay-closed',
+          requestIds: requestIds
+        }).catch(() => {});
+      }
+    });
     return true;
   } catch (error) {
     moduleLoadError = error;
@@ -30,7 +53,8 @@ async function initializeSimplifiedContentScript() {
     }
     
     setupMessageListener();
-    
+    setupContextMenuTracking();
+    announceContentCommands();
     
     isContentScriptReady = true;
     
@@ -58,6 +82,36 @@ function setupMessageListener() {
         return false;
       }
       
+      if (request.type === 'CANCEL_REQUEST') {
+        handleCancelRequest(request, sendResponse);
+        return false;
+      }
+      
+      if (request.type === 'GET_SELECTION_CONTEXT') {
+        handleSelectionContextRequest(request, sendResponse);
+        return false;
+      }
+      
+      if (request.type === 'GET_CONTEXT_MENU_TARGET') {
+        handleContextMenuTargetRequest(request, sendResponse);
+        return false;
+      }
+      
+      if (request.type === 'SHOW_ANSWER_OVERLAY') {
+        handleShowAnswerOverlay(request, sendResponse);
+        return false;
+      }
+      
+      if (request.type === 'ANSWER_OVERLAY_UPDATE') {
+        handleAnswerOverlayUpdate(request, sendResponse);
+        return false;
+      }
+      
+      if (request.type === 'RUN_COMMAND') {
+        handleRunCommand(request, sendResponse);
+        return true;
+      }
+      
       if (request.type === 'GET_CONTENT') {
         handleContentRequest(request, sendResponse);
         return true;
@@ -90,8 +144,221 @@ function setupMessageListener() {
       
     });
     
+    chrome.runtime.onConnect.addListener(handleContextStreamPort);
+    
+  } catch (error) {
+  }
+}
+
+/**
+ * Tell the background which commands this content script implements so it
+ * can route Alice's requests for them here
+ */
+function announceContentCommands() {
+  if (!contentCommands) {
+    return;
+  }
+  
+  try {
+    chrome.runtime.sendMessage({
+      type: 'register-content-commands',
+      commands: contentCommands.getContentCommandDescriptors()
+    }).catch(() => {});
+  } catch (error) {
+  }
+}
+
+async function handleRunCommand(request, sendResponse) {
+  try {
+    if (!contentCommands) {
+      throw new Error('Content commands are not available on this page');
+    }
+    
+    const data = await contentCommands.runContentCommand(request.command, request.options);
+    sendResponse({
+      success: true,
+      data: data
+    });
+  } catch (error) {
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+function handleSelectionContextRequest(request, sendResponse) {
+  try {
+    if (!contentProcessor) {
+      throw new Error('Content processor not available');
+    }
+    
+    sendResponse({
+      success: true,
+      data: contentProcessor.extractSelectionContext()
+    });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+function setupContextMenuTracking() {
+  document.addEventListener('contextmenu', (event) => {
+    lastContextMenuTarget = event.target instanceof Element ? event.target : null;
+  }, true);
+}
+
+function handleContextMenuTargetRequest(request, sendResponse) {
+  try {
+    const data = request.targetType === 'image'
+      ? describeContextMenuImage(request.url)
+      : describeContextMenuLink(request.url);
+    sendResponse({ success: true, data: data });
   } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * The right-clicked element matching `selector`, or failing that the first
+ * matching one in the page (e.g. when the click landed on an overlay)
+ */
+function findContextMenuElement(selector, matches) {
+  const clicked = lastContextMenuTarget && lastContextMenuTarget.closest(selector);
+  if (clicked && matches(clicked)) {
+    return clicked;
+  }
+  return Array.from(document.querySelectorAll(selector)).find(matches) || null;
+}
+
+function describeContextMenuLink(url) {
+  const link = findContextMenuElement('a[href]', (element) => element.href === url);
+  if (!link) {
+    return {};
+  }
+  
+  return {
+    text: normalizeText(link.textContent || link.getAttribute('aria-label') || ''),
+    title: link.title || ''
+  };
+}
+
+function describeContextMenuImage(srcUrl) {
+  const image = findContextMenuElement('img', (element) =>
+    element.currentSrc === srcUrl || element.src === srcUrl
+  );
+  if (!image) {
+    return {};
+  }
+  
+  return {
+    alt: image.alt || '',
+    title: image.title || '',
+    caption: truncateText(findImageCaption(image), MAX_CAPTION_LENGTH),
+    surroundingText: truncateText(findSurroundingText(image), MAX_CAPTION_LENGTH),
+    width: image.naturalWidth || image.width || 0,
+    height: image.naturalHeight || image.height || 0
+  };
+}
+
+/**
+ * figcaption of the enclosing figure, else the aria-describedby target
+ */
+function findImageCaption(image) {
+  const figure = image.closest('figure');
+  const figcaption = figure && figure.querySelector('figcaption');
+  if (figcaption) {
+    return normalizeText(figcaption.textContent);
+  }
+  
+  const describedBy = image.getAttribute('aria-describedby');
+  if (describedBy) {
+    return describedBy
+      .split(/\s+/)
+      .map(id => document.getElementById(id))
+      .filter(Boolean)
+      .map(element => normalizeText(element.textContent))
+      .join(' ');
+  }
+  return '';
+}
+
+/**
+ * Text of the nearest block around the image that has some, e.g. the
+ * paragraph introducing a chart
+ */
+function findSurroundingText(image) {
+  let element = image.parentElement;
+  for (let depth = 0; element && element !== document.body && depth < 3; depth++) {
+    const text = normalizeText(element.innerText || element.textContent || '');
+    if (text) {
+      return text;
+    }
+    element = element.parentElement;
+  }
+  return '';
+}
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function truncateText(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function handleShowAnswerOverlay(request, sendResponse) {
+  if (!answerOverlay) {
+    sendResponse({ success: false, error: 'Answer overlay is not available' });
+    return;
+  }
+  
+  answerOverlay.show({
+    requestId: request.requestId,
+    action: request.action,
+    heading: request.heading,
+    selectedText: request.selectedText,
+    anchorElement: lastContextMenuTarget
+  });
+  sendResponse({ success: true });
+}
+
+function handleAnswerOverlayUpdate(request, sendResponse) {
+  if (!answerOverlay || !answerOverlay.hasRequest(request.requestId)) {
+    sendResponse({ success: false });
+    return;
+  }
+  
+  switch (request.kind) {
+    case 'chunk':
+      answerOverlay.appendChunk(request.requestId, request.text);
+      break;
+    case 'end':
+      answerOverlay.finish(request.requestId, request.text);
+      break;
+    case 'error':
+      answerOverlay.fail(request.requestId, request.error);
+      break;
+  }
+  sendResponse({ success: true });
+}
+
+/**
+ * Ask the background to send a follow-up question to Alice; resolves with
+ * the requestId Alice will answer under
+ */
+async function requestAnswerFollowUp(question, previousRequestId, selectedText) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'answer-follow-up',
+    question: question,
+    previousRequestId: previousRequestId,
+    selectedText: selectedText
+  });
+  
+  if (!response || !response.success) {
+    throw new Error((response && response.error) || 'Could not reach Alice');
   }
+  return response.requestId;
 }
 
 function extractFallbackContext(options = {}) {
@@ -163,22 +430,51 @@ function extractFallbackContext(options = {}) {
   }
 }
 
+/**
+ * Extract context for a background request, remembering which cache entry
+ * it produced so a later cancel can release it
+ */
+function extractContextForRequest(request, options) {
+  if (!contentProcessor) {
+    return extractFallbackContext(options);
+  }
+  
+  if (request.requestId) {
+    requestCacheOptions.set(request.requestId, options);
+    if (requestCacheOptions.size > MAX_TRACKED_REQUESTS) {
+      requestCacheOptions.delete(requestCacheOptions.keys().next().value);
+    }
+  }
+  
+  return contentProcessor.extractContext(options);
+}
+
+function handleCancelRequest(request, sendResponse) {
+  const options = requestCacheOptions.get(request.requestId);
+  requestCacheOptions.delete(request.requestId);
+  
+  if (options && contentProcessor) {
+    contentProcessor.releaseCachedContext(options);
+  }
+  
+  sendResponse({ success: true, released: !!options });
+}
+
+function getSimplifiedContextOptions(request) {
+  return {
+    format: request.format || 'text',
+    maxTokens: request.maxTokens || 2000,
+    includeLinks: request.includeLinks !== false,
+    includeSelection: request.includeSelection !== false
+  };
+}
+
 async function handleSimplifiedContextRequest(request, sendResponse) {
   try {
     
-    const options = {
-      format: request.format || 'text',
-      maxTokens: request.maxTokens || 2000,
-      includeLinks: request.includeLinks !== false,
-      includeSelection: request.includeSelection !== false
-    };
+    const options = getSimplifiedContextOptions(request);
     
-    let context;
-    if (contentProcessor) {
-      context = contentProcessor.extractContext(options);
-    } else {
-      context = extractFallbackContext(options);
-    }
+    const context = extractContextForRequest(request, options);
     
     
     sendResponse({
@@ -193,32 +489,70 @@ async function handleSimplifiedContextRequest(request, sendResponse) {
   }
 }
 
+/**
+ * Streamed get_context: the background connects a 'context-stream' port
+ * and posts the request on it. The content goes back as 'text' messages
+ * while it is extracted, followed by an 'end' message with the rest of the
+ * context (or an 'error'). Disconnecting the port stops the extraction.
+ */
+function handleContextStreamPort(port) {
+  if (port.name !== 'context-stream') {
+    return;
+  }
+  
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+  });
+  
+  port.onMessage.addListener(async (request) => {
+    try {
+      const options = getSimplifiedContextOptions(request);
+      let context;
+      
+      if (contentProcessor) {
+        context = await contentProcessor.streamContext(
+          options,
+          text => port.postMessage({ type: 'text', text: text }),
+          () => disconnected
+        );
+      } else {
+        const { content, ...rest } = extractFallbackContext(options);
+        if (content) {
+          port.postMessage({ type: 'text', text: content });
+        }
+        context = rest;
+      }
+      
+      if (context && !disconnected) {
+        port.postMessage({ type: 'end', context: context });
+      }
+    } catch (error) {
+      if (!disconnected) {
+        port.postMessage({ type: 'error', error: error.message });
+      }
+    }
+  });
+}
+
 async function handleLegacyContextRequest(request, sendResponse) {
   try {
     
     const options = {
-      format: request.contentFilterOptions?.preserveStructure ? 'structured' : 'text',
+      format: request.contentFilterOptions?.preserveStructure ? 'both' : 'text',
       maxTokens: request.maxContextLength || 2000,
       includeLinks: request.includeLinks !== false,
       includeSelection: request.includeSelection !== false
     };
     
-    let context;
-    if (contentProcessor) {
-      context = contentProcessor.extractContext(options);
-    } else {
-      context = extractFallbackContext(options);
-    }
+    const context = extractContextForRequest(request, options);
     
     const legacyContext = {
       url: context.url,
       title: context.title,
       visibleText: context.content,
-      structuredContent: options.format === 'structured' ? {
-        title: context.title,
-        headings: [],
-        paragraphs: context.content.split('\n\n').filter(p => p.trim()),
-        lists: [],
+      structuredContent: context.structuredContent ? {
+        ...context.structuredContent,
         text: context.content
       } : null,
       links: context.links.map(link => ({
@@ -261,12 +595,7 @@ async function handleContentRequest(request, sendResponse) {
       includeSelection: false
     };
     
-    let context;
-    if (contentProcessor) {
-      context = contentProcessor.extractContext(options);
-    } else {
-      context = extractFallbackContext(options);
-    }
+    const context = extractContextForRequest(request, options);
     
     
     sendResponse({
@@ -296,12 +625,7 @@ async function handleLinksRequest(request, sendResponse) {
       includeSelection: false
     };
     
-    let context;
-    if (contentProcessor) {
-      context = contentProcessor.extractContext(options);
-    } else {
-      context = extractFallbackContext(options);
-    }
+    const context = extractContextForRequest(request, options);
     
     
     sendResponse({
@@ -329,12 +653,7 @@ async function handleSelectionRequest(request, sendResponse) {
       includeSelection: true
     };
     
-    let context;
-    if (contentProcessor) {
-      context = contentProcessor.extractContext(options);
-    } else {
-      context = extractFallbackContext(options);
-    }
+    const context = extractContextForRequest(request, options);
     
     
     sendResponse({
@@ -363,12 +682,7 @@ async function handleMetadataRequest(request, sendResponse) {
       includeSelection: false
     };
     
-    let context;
-    if (contentProcessor) {
-      context = contentProcessor.extractContext(options);
-    } else {
-      context = extractFallbackContext(options);
-    }
+    const context = extractContextForRequest(request, options);
     
     
     sendResponse({
@@ -0,0 +1,283 @@
+/**
+ * Alice Extension Options Page JavaScript
+ * Manages user-defined context menu actions stored in chrome.storage.sync;
+ * the background rebuilds the context menu whenever they change. Also lists
+ * the keyboard shortcuts assigned to Alice's commands.
+ */
+
+import { CUSTOM_ACTIONS_CONFIG } from '../shared/constants/simplified-config.js';
+import {
+    normalizeCustomActions,
+    createCustomActionId
+} from '../shared/utils/custom-actions.js';
+
+const CONTEXT_LABELS = {
+    selection: 'Selected text',
+    link: 'Links',
+    image: 'Images',
+    page: 'Page'
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    const actionList = document.getElementById('action-list');
+    const noActions = document.getElementById('no-actions');
+    const addActionBtn = document.getElementById('add-action');
+    const addExamplesBtn = document.getElementById('add-examples');
+    const actionEditor = document.getElementById('action-editor');
+    const actionTitle = document.getElementById('action-title');
+    const actionTemplate = document.getElementById('action-template');
+    const contextCheckboxes = Array.from(document.querySelectorAll('input[name="action-context"]'));
+    const actionShowAnswer = document.getElementById('action-show-answer');
+    const saveActionBtn = document.getElementById('save-action');
+    const cancelActionBtn = document.getElementById('cancel-action');
+    const shortcutList = document.getElementById('shortcut-list');
+    const changeShortcutsBtn = document.getElementById('change-shortcuts');
+    const successMessage = document.getElementById('success-message');
+    const errorMessage = document.getElementById('error-message');
+
+    let actions = [];
+    let editingId = null;
+
+    /**
+     * Initialize the options page
+     */
+    async function initialize() {
+        try {
+            addActionBtn.addEventListener('click', () => openEditor(null));
+            addExamplesBtn.addEventListener('click', addExamples);
+            saveActionBtn.addEventListener('click', saveAction);
+            cancelActionBtn.addEventListener('click', closeEditor);
+            changeShortcutsBtn.addEventListener('click', openShortcutSettings);
+
+            await loadActions();
+            await loadShortcuts();
+        } catch (error) {
+            showError('Failed to load custom actions: ' + error.message);
+        }
+    }
+
+    async function loadActions() {
+        const result = await getStorage().get([CUSTOM_ACTIONS_CONFIG.STORAGE_KEY]);
+        actions = normalizeCustomActions(result[CUSTOM_ACTIONS_CONFIG.STORAGE_KEY]);
+        renderActionList();
+    }
+
+    /**
+     * Persist an action list and make it the page's list once stored; the
+     * background picks the change up and rebuilds the context menu. All
+     * actions share one sync item, which is limited to QUOTA_BYTES_PER_ITEM.
+     */
+    async function persistActions(nextActions) {
+        const normalized = normalizeCustomActions(nextActions);
+        const storage = getStorage();
+        const quota = storage.QUOTA_BYTES_PER_ITEM;
+        const size = new TextEncoder().encode(
+            CUSTOM_ACTIONS_CONFIG.STORAGE_KEY + JSON.stringify(normalized)
+        ).length;
+        if (quota && size > quota) {
+            throw new Error(`actions use ${size} of ${quota} bytes; shorten or remove some prompts`);
+        }
+
+        await storage.set({ [CUSTOM_ACTIONS_CONFIG.STORAGE_KEY]: normalized });
+        actions = normalized;
+    }
+
+    function getStorage() {
+        return chrome.storage[CUSTOM_ACTIONS_CONFIG.STORAGE_AREA];
+    }
+
+    function renderActionList() {
+        actionList.textContent = '';
+
+        actions.forEach(action => {
+            const item = document.createElement('li');
+            item.className = 'action-item';
+
+            const summary = document.createElement('div');
+            summary.className = 'action-summary';
+            const name = document.createElement('div');
+            name.className = 'action-name';
+            name.textContent = action.title;
+            const contexts = document.createElement('div');
+            contexts.className = 'action-contexts';
+            contexts.textContent = action.contexts.map(context => CONTEXT_LABELS[context]).join(', ');
+            summary.append(name, contexts);
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-secondary';
+            editBtn.type = 'button';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => openEditor(action.id));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.type = 'button';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => removeAction(action.id));
+
+            item.append(summary, editBtn, removeBtn);
+            actionList.appendChild(item);
+        });
+
+        noActions.hidden = actions.length > 0;
+        addActionBtn.disabled = actions.length >= CUSTOM_ACTIONS_CONFIG.MAX_ACTIONS;
+    }
+
+    /**
+     * Show the editor for an existing action, or an empty one for a new action
+     */
+    function openEditor(actionId) {
+        const action = actions.find(candidate => candidate.id === actionId);
+        editingId = action ? action.id : null;
+
+        actionTitle.value = action ? action.title : '';
+        actionTemplate.value = action ? action.template : '';
+        const contexts = action ? action.contexts : ['selection'];
+        contextCheckboxes.forEach(checkbox => {
+            checkbox.checked = contexts.includes(checkbox.value);
+        });
+        actionShowAnswer.checked = action ? action.showAnswer : false;
+
+        actionEditor.hidden = false;
+        actionTitle.focus();
+    }
+
+    function closeEditor() {
+        editingId = null;
+        actionEditor.hidden = true;
+    }
+
+    async function saveAction() {
+        const title = actionTitle.value.trim();
+        const template = actionTemplate.value;
+        const contexts = contextCheckboxes
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
+
+        if (!title) {
+            showError('Menu title is required');
+            return;
+        }
+        if (!template.trim()) {
+            showError('Prompt template is required');
+            return;
+        }
+        if (contexts.length === 0) {
+            showError('Pick at least one place where the action is shown');
+            return;
+        }
+
+        const fields = { title, template, contexts, showAnswer: actionShowAnswer.checked };
+        const nextActions = editingId
+            ? actions.map(action => (action.id === editingId ? { ...action, ...fields } : action))
+            : [
+                ...actions,
+                { id: createCustomActionId(title, actions.map(action => action.id)), ...fields }
+            ];
+
+        try {
+            await persistActions(nextActions);
+            closeEditor();
+            renderActionList();
+            showSuccess('Action saved');
+        } catch (error) {
+            showError('Failed to save action: ' + error.message);
+        }
+    }
+
+    async function removeAction(actionId) {
+        try {
+            await persistActions(actions.filter(action => action.id !== actionId));
+            if (editingId === actionId) {
+                closeEditor();
+            }
+            renderActionList();
+            showSuccess('Action removed');
+        } catch (error) {
+            showError('Failed to remove action: ' + error.message);
+        }
+    }
+
+    /**
+     * Add the bundled example actions that are not defined yet
+     */
+    async function addExamples() {
+        const titles = new Set(actions.map(action => action.title.toLowerCase()));
+        const nextActions = [...actions];
+
+        CUSTOM_ACTIONS_CONFIG.EXAMPLES.forEach(example => {
+            if (titles.has(example.title.toLowerCase())) {
+                return;
+            }
+            nextActions.push({
+                id: createCustomActionId(example.title, nextActions.map(action => action.id)),
+                ...example
+            });
+        });
+
+        try {
+            await persistActions(nextActions);
+            renderActionList();
+            showSuccess('Example actions added');
+        } catch (error) {
+            showError('Failed to add examples: ' + error.message);
+        }
+    }
+
+    /**
+     * List the manifest's commands with the keys currently assigned to them
+     */
+    async function loadShortcuts() {
+        const commands = await chrome.commands.getAll();
+        shortcutList.textContent = '';
+
+        commands
+            .filter(command => command.description)
+            .forEach(command => {
+                const item = document.createElement('li');
+                item.className = 'action-item';
+
+                const name = document.createElement('div');
+                name.className = 'action-summary action-name';
+                name.textContent = command.description;
+
+                const shortcut = document.createElement('kbd');
+                shortcut.className = 'shortcut-key';
+                shortcut.textContent = command.shortcut || 'Not set';
+
+                item.append(name, shortcut);
+                shortcutList.appendChild(item);
+            });
+    }
+
+    /**
+     * Shortcuts can only be changed on Chrome's own settings page
+     */
+    function openShortcutSettings() {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    }
+
+    /**
+     * Show a success message
+     */
+    function showSuccess(message) {
+        errorMessage.textContent = '';
+        successMessage.textContent = message;
+        setTimeout(() => {
+            successMessage.textContent = '';
+        }, 3000);
+    }
+
+    /**
+     * Show an error message
+     */
+    function showError(message) {
+        successMessage.textContent = '';
+        errorMessage.textContent = message;
+        setTimeout(() => {
+            errorMessage.textContent = '';
+        }, 5000);
+    }
+
+    initialize();
+});
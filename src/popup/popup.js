@@ -3,14 +3,34 @@
  * Handles WebSocket connection monitoring and configuration management
  */
 
+import { generatePairingToken as createPairingToken } from '../shared/utils/pairing-auth.js';
+
 document.addEventListener('DOMContentLoaded', function() {
     const statusIndicator = document.getElementById('status-indicator');
     const statusText = document.getElementById('status-text');
     const reconnectAttempts = document.getElementById('reconnect-attempts');
+    const nextAttempt = document.getElementById('next-attempt');
     const queueLength = document.getElementById('queue-length');
     const lastConnection = document.getElementById('last-connection');
-    const websocketHost = document.getElementById('websocket-host');
-    const websocketPort = document.getElementById('websocket-port');
+    const peerProtocol = document.getElementById('peer-protocol');
+    const queueList = document.getElementById('queue-list');
+    const workerLifecycle = document.getElementById('worker-lifecycle');
+    const pingRtt = document.getElementById('ping-rtt');
+    const rttSparkline = document.getElementById('rtt-sparkline');
+    const traffic = document.getElementById('traffic');
+    const errorCount = document.getElementById('error-count');
+    const clearQueueBtn = document.getElementById('clear-queue');
+    const endpointSelect = document.getElementById('endpoint-select');
+    const addEndpointBtn = document.getElementById('add-endpoint');
+    const removeEndpointBtn = document.getElementById('remove-endpoint');
+    const endpointName = document.getElementById('endpoint-name');
+    const endpointPriority = document.getElementById('endpoint-priority');
+    const endpointFailover = document.getElementById('endpoint-failover');
+    const activeEndpoint = document.getElementById('active-endpoint');
+    const websocketUrl = document.getElementById('websocket-url');
+    const websocketProtocols = document.getElementById('websocket-protocols');
+    const pairingToken = document.getElementById('pairing-token');
+    const generateTokenBtn = document.getElementById('generate-token');
     const saveConfigBtn = document.getElementById('save-config');
     const reconnectBtn = document.getElementById('reconnect-btn');
     const successMessage = document.getElementById('success-message');
@@ -19,6 +39,10 @@ document.addEventListener('DOMContentLoaded', function() {
     let currentStatus = 'disconnected';
     let lastConnectionTime = null;
     let port = null;
+    let endpoints = [];
+    let savedEndpointIds = new Set();
+    let selectedEndpointId = null;
+    let activeEndpointId = null;
     
     /**
      * Initialize the popup
@@ -50,6 +74,11 @@ document.addEventListener('DOMContentLoaded', function() {
      */
     function setupEventListeners() {
         saveConfigBtn.addEventListener('click', saveConfiguration);
+        generateTokenBtn.addEventListener('click', generatePairingToken);
+        endpointSelect.addEventListener('change', handleEndpointChange);
+        addEndpointBtn.addEventListener('click', addEndpoint);
+        removeEndpointBtn.addEventListener('click', removeEndpoint);
+        clearQueueBtn.addEventListener('click', clearQueue);
         reconnectBtn.addEventListener('click', triggerReconnect);
     }
     
@@ -63,6 +92,14 @@ document.addEventListener('DOMContentLoaded', function() {
             port.onMessage.addListener(function(message) {
                 if (message.type === 'status-update') {
                     updateUIWithStatus(message.status);
+                    if (message.stats) {
+                        updatePeerInfo(message.stats.peer);
+                        updateActiveEndpoint(message.stats.activeEndpoint);
+                        updateQueueList(message.stats.queuedMessages);
+                        updateReconnectPolicy(message.stats.reconnectPolicy);
+                        updateMetrics(message.stats.metrics);
+                        queueLength.textContent = message.stats.messageQueueLength || 0;
+                    }
                     // Show success message when connected
                     if (message.status === 'connected') {
                         showSuccess('Successfully connected to Alice AI!');
@@ -85,46 +122,172 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     /**
-     * Load configuration from chrome.storage
+     * Load the endpoint list from the background and the token from chrome.storage
      */
     async function loadConfiguration() {
         try {
-            const result = await chrome.storage.sync.get(['websocketHost', 'websocketPort']);
+            const response = await sendMessageToBackground({ type: 'get-stats' });
+            const stats = response && response.stats ? response.stats : {};
+            
+            endpoints = (stats.endpoints || []).map(endpoint => ({ ...endpoint }));
+            savedEndpointIds = new Set(endpoints.map(endpoint => endpoint.id));
+            if (endpoints.length === 0) {
+                endpoints.push(createEndpoint());
+            }
             
-            const host = result.websocketHost || 'localhost';
-            const port = result.websocketPort || '5421';
+            selectedEndpointId = stats.preferredEndpointId || endpoints[0].id;
+            endpointFailover.checked = stats.failover !== false;
+            activeEndpointId = stats.activeEndpoint ? stats.activeEndpoint.id : null;
             
-            websocketHost.value = host;
-            websocketPort.value = port;
+            renderEndpointSelect();
+            renderEndpointForm();
+            
+            const local = await chrome.storage.local.get(['pairingToken']);
+            pairingToken.value = local.pairingToken || '';
         } catch (error) {
             showError('Failed to load configuration: ' + error.message);
         }
     }
     
+    function createEndpoint() {
+        return {
+            id: `endpoint-${crypto.randomUUID()}`,
+            name: endpoints.length === 0 ? 'Default' : `Endpoint ${endpoints.length + 1}`,
+            url: 'ws://localhost:5421',
+            protocols: [],
+            priority: endpoints.length
+        };
+    }
+    
+    function getSelectedEndpoint() {
+        return endpoints.find(endpoint => endpoint.id === selectedEndpointId) || endpoints[0];
+    }
+    
     /**
-     * Save configuration to chrome.storage
+     * Rebuild the endpoint switcher, marking the endpoint currently in use
      */
-    async function saveConfiguration() {
+    function renderEndpointSelect() {
+        endpointSelect.textContent = '';
+        
+        endpoints.forEach(endpoint => {
+            const option = document.createElement('option');
+            option.value = endpoint.id;
+            option.textContent = endpoint.id === activeEndpointId
+                ? `${endpoint.name} (active)`
+                : endpoint.name;
+            endpointSelect.appendChild(option);
+        });
+        
+        endpointSelect.value = selectedEndpointId;
+        removeEndpointBtn.disabled = endpoints.length < 2;
+    }
+    
+    function renderEndpointForm() {
+        const endpoint = getSelectedEndpoint();
+        endpointName.value = endpoint.name;
+        websocketUrl.value = endpoint.url;
+        websocketProtocols.value = (endpoint.protocols || []).join(', ');
+        endpointPriority.value = endpoint.priority;
+    }
+    
+    /**
+     * Copy the form fields back into the selected endpoint
+     */
+    function commitEndpointForm() {
+        const endpoint = getSelectedEndpoint();
+        if (!endpoint) {
+            return;
+        }
+        
+        endpoint.name = endpointName.value.trim() || endpoint.name;
+        endpoint.url = websocketUrl.value.trim();
+        endpoint.protocols = websocketProtocols.value
+            .split(',')
+            .map(protocol => protocol.trim())
+            .filter(Boolean);
+        endpoint.priority = endpointPriority.value === '' ? 0 : Number(endpointPriority.value);
+    }
+    
+    /**
+     * Switch endpoints; saved endpoints are connected to immediately
+     */
+    async function handleEndpointChange() {
+        commitEndpointForm();
+        selectedEndpointId = endpointSelect.value;
+        renderEndpointSelect();
+        renderEndpointForm();
+        
+        if (!savedEndpointIds.has(selectedEndpointId)) {
+            return;
+        }
+        
         try {
-            const host = websocketHost.value.trim();
-            const port = websocketPort.value.trim();
+            const response = await sendMessageToBackground({
+                type: 'select-endpoint',
+                endpointId: selectedEndpointId
+            });
             
-            if (!host) {
-                showError('WebSocket host is required');
-                return;
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to switch endpoint');
             }
             
-            if (!port || isNaN(port) || port < 1 || port > 65535) {
-                showError('WebSocket port must be a valid number between 1 and 65535');
-                return;
+            updateUIWithStatus('connecting');
+        } catch (error) {
+            showError('Failed to switch endpoint: ' + error.message);
+        }
+    }
+    
+    function addEndpoint() {
+        commitEndpointForm();
+        const endpoint = createEndpoint();
+        endpoints.push(endpoint);
+        selectedEndpointId = endpoint.id;
+        renderEndpointSelect();
+        renderEndpointForm();
+        endpointName.focus();
+        endpointName.select();
+    }
+    
+    function removeEndpoint() {
+        if (endpoints.length < 2) {
+            return;
+        }
+        
+        endpoints = endpoints.filter(endpoint => endpoint.id !== selectedEndpointId);
+        selectedEndpointId = endpoints[0].id;
+        renderEndpointSelect();
+        renderEndpointForm();
+        showSuccess('Endpoint removed. Save to apply.');
+    }
+    
+    /**
+     * Save the endpoint list and token through the background script
+     */
+    async function saveConfiguration() {
+        try {
+            commitEndpointForm();
+            
+            for (const endpoint of endpoints) {
+                if (!endpoint.url) {
+                    showError(`${endpoint.name}: WebSocket URL is required`);
+                    return;
+                }
+                
+                if (!/^wss?:\/\//i.test(endpoint.url)) {
+                    showError(`${endpoint.name}: WebSocket URL must start with ws:// or wss://`);
+                    return;
+                }
             }
             
-            await chrome.storage.sync.set({
-                websocketHost: host,
-                websocketPort: port
+            // The background validates and persists the configuration
+            await updateBackgroundConfig({
+                endpoints: endpoints,
+                preferredEndpointId: selectedEndpointId,
+                failover: endpointFailover.checked,
+                authToken: pairingToken.value.trim()
             });
             
-            await updateBackgroundConfig(host, port);
+            savedEndpointIds = new Set(endpoints.map(endpoint => endpoint.id));
             
             clearError();
             showSuccess('Configuration saved successfully!');
@@ -142,18 +305,12 @@ document.addEventListener('DOMContentLoaded', function() {
     /**
      * Update WebSocket configuration in the background script
      */
-    async function updateBackgroundConfig(host, port) {
+    async function updateBackgroundConfig(config) {
         try {
-            const websocketUrl = `ws://${host}:${port}`;
-            
             // Send message to background script to update configuration
             const response = await sendMessageToBackground({
                 type: 'update-config',
-                config: {
-                    url: websocketUrl,
-                    host: host,
-                    port: port
-                }
+                config: config
             });
             
             if (response && response.success) {
@@ -167,6 +324,15 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
+    /**
+     * Fill the token field with a fresh random token to paste into Alice
+     */
+    function generatePairingToken() {
+        pairingToken.value = createPairingToken();
+        pairingToken.select();
+        showSuccess('Token generated. Copy it into Alice, then save.');
+    }
+    
     /**
      * Trigger manual reconnection
      */
@@ -237,6 +403,200 @@ document.addEventListener('DOMContentLoaded', function() {
             lastConnectionTime = new Date(stats.lastConnectionTime);
             lastConnection.textContent = formatDateTime(lastConnectionTime);
         }
+        
+        updatePeerInfo(stats.peer);
+        updateActiveEndpoint(stats.activeEndpoint);
+        updateQueueList(stats.queuedMessages);
+        updateReconnectPolicy(stats.reconnectPolicy);
+        updateMetrics(stats.metrics);
+        
+        if (stats.lifecycle) {
+            workerLifecycle.textContent = `${stats.lifecycle.wakeCount} / ${stats.lifecycle.evictionCount}`;
+            workerLifecycle.title = stats.lifecycle.lastEvictionAt
+                ? `Last evicted ${formatDateTime(new Date(stats.lifecycle.lastEvictionAt))}`
+                : '';
+        }
+    }
+    
+    /**
+     * Show when the reconnect policy will try next and whether its circuit
+     * breaker is open
+     */
+    function updateReconnectPolicy(policy) {
+        nextAttempt.classList.remove('stat-warning');
+        
+        if (!policy || currentStatus === 'connected') {
+            nextAttempt.textContent = '—';
+            return;
+        }
+        
+        reconnectAttempts.textContent = policy.attempts || 0;
+        
+        if (policy.gaveUp) {
+            nextAttempt.textContent = 'Stopped';
+            nextAttempt.classList.add('stat-warning');
+            return;
+        }
+        
+        if (!policy.nextAttemptAt) {
+            nextAttempt.textContent = '—';
+            return;
+        }
+        
+        const seconds = Math.max(0, Math.round((policy.nextAttemptAt - Date.now()) / 1000));
+        if (policy.breakerOpen) {
+            nextAttempt.textContent = `Breaker open, probe in ${seconds}s`;
+            nextAttempt.classList.add('stat-warning');
+        } else {
+            nextAttempt.textContent = `in ${seconds}s`;
+        }
+    }
+    
+    /**
+     * Show ping round-trip times, traffic totals and error counts
+     */
+    function updateMetrics(metrics) {
+        if (!metrics) {
+            return;
+        }
+        
+        const rtt = metrics.rtt;
+        pingRtt.textContent = rtt.count > 0 ? `${rtt.avg} / ${rtt.p95} ms` : '—';
+        pingRtt.title = rtt.count > 0 ? `min ${rtt.min} ms, last ${rtt.last} ms over ${rtt.count} pings` : '';
+        renderSparkline(rtt.samples);
+        
+        traffic.textContent = `${metrics.sent.count} / ${metrics.received.count}`;
+        traffic.title = `${formatBytes(metrics.sent.bytes)} sent, ${formatBytes(metrics.received.bytes)} received`;
+        if (metrics.compression && metrics.compression.count > 0) {
+            traffic.title += `\n${metrics.compression.count} compressed: ${formatBytes(metrics.compression.originalBytes)} → ${formatBytes(metrics.compression.compressedBytes)}`;
+        }
+        
+        const errors = Object.entries(metrics.errors);
+        const total = errors.reduce((sum, [, count]) => sum + count, 0);
+        errorCount.textContent = total;
+        errorCount.title = errors.map(([code, count]) => `${code}: ${count}`).join('\n');
+        errorCount.classList.toggle('stat-warning', total > 0);
+    }
+    
+    /**
+     * Draw recent RTT samples as a polyline scaled to the sparkline's box
+     */
+    function renderSparkline(samples) {
+        const polyline = rttSparkline.querySelector('polyline');
+        const values = samples || [];
+        
+        if (values.length < 2) {
+            polyline.setAttribute('points', '');
+            return;
+        }
+        
+        const width = rttSparkline.viewBox.baseVal.width;
+        const height = rttSparkline.viewBox.baseVal.height;
+        const max = Math.max(...values, 1);
+        const step = width / (values.length - 1);
+        
+        const points = values.map((value, index) => {
+            const x = (index * step).toFixed(1);
+            const y = (height - 1 - (value / max) * (height - 2)).toFixed(1);
+            return `${x},${y}`;
+        });
+        polyline.setAttribute('points', points.join(' '));
+    }
+    
+    /**
+     * Format a byte count for display
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    /**
+     * List messages waiting for Alice with their age
+     */
+    function updateQueueList(queuedMessages) {
+        const messages = queuedMessages || [];
+        queueList.textContent = '';
+        clearQueueBtn.disabled = messages.length === 0;
+        
+        if (messages.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'queue-empty';
+            empty.textContent = 'Nothing queued';
+            queueList.appendChild(empty);
+            return;
+        }
+        
+        messages.forEach(queued => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            const age = document.createElement('span');
+            
+            label.textContent = queued.action ? `${queued.type} (${queued.action})` : queued.type;
+            age.textContent = formatDateTime(new Date(queued.enqueuedAt));
+            item.title = `Expires ${new Date(queued.expiresAt).toLocaleTimeString()}`;
+            
+            item.appendChild(label);
+            item.appendChild(age);
+            queueList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Drop every queued message
+     */
+    async function clearQueue() {
+        try {
+            const response = await sendMessageToBackground({ type: 'clear-queue' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to clear queue');
+            }
+            updateQueueList([]);
+            queueLength.textContent = 0;
+        } catch (error) {
+            showError('Failed to clear queue: ' + error.message);
+        }
+    }
+    
+    /**
+     * Show which endpoint the connection manager is currently using
+     */
+    function updateActiveEndpoint(endpoint) {
+        activeEndpointId = endpoint ? endpoint.id : null;
+        activeEndpoint.textContent = endpoint ? endpoint.name : 'None';
+        activeEndpoint.title = endpoint ? endpoint.url : '';
+        
+        if (endpoints.length > 0) {
+            renderEndpointSelect();
+        }
+    }
+    
+    /**
+     * Show the protocol version Alice reported during the handshake
+     */
+    function updatePeerInfo(peer) {
+        peerProtocol.classList.remove('stat-warning');
+        
+        if (!peer) {
+            peerProtocol.textContent = 'Unknown';
+        } else if (!peer.authenticated) {
+            peerProtocol.textContent = 'Not authenticated';
+            peerProtocol.classList.add('stat-warning');
+        } else if (peer.legacy) {
+            peerProtocol.textContent = 'Legacy (no handshake)';
+        } else if (!peer.compatible) {
+            peerProtocol.textContent = `v${peer.protocolVersion} (incompatible)`;
+            peerProtocol.classList.add('stat-warning');
+        } else {
+            peerProtocol.textContent = peer.compression
+                ? `v${peer.protocolVersion} (${peer.compression})`
+                : `v${peer.protocolVersion}`;
+        }
     }
     
     /**
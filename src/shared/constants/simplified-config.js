@@ -2,10 +2,89 @@ export const WEBSOCKET_CONFIG = {
   URL: 'ws://localhost:5421',
   RECONNECT_INTERVAL: 5000,
   CONNECTION_TIMEOUT: 15000,
-  PING_INTERVAL: 30000,
+  // Below the 30s idle limit after which MV3 suspends the service worker
+  PING_INTERVAL: 20000,
+  REQUEST_TIMEOUT: 30000,
+  CONTEXT_ACTION_TIMEOUT: 10000,
   AUTO_RECONNECT: true
 };
 
+export const PROTOCOL_CONFIG = {
+  VERSION: '1.0',
+  HANDSHAKE_TIMEOUT: 5000,
+  // Sent by Alice under the requestId of one of our requests after it has
+  // already been acknowledged, so they must not be taken as its reply
+  FOLLOW_UP_TYPES: ['answer_chunk', 'answer_end']
+};
+
+export const COMPRESSION_CONFIG = {
+  // Offered to Alice in the hello, most preferred first
+  ALGORITHMS: ['gzip', 'deflate'],
+  // Smaller messages are not worth compressing
+  THRESHOLD: 16384
+};
+
+export const RECONNECT_POLICY_CONFIG = {
+  MAX_DELAY: 30000,
+  JITTER: 0.3,
+  // 0 retries forever; the circuit breaker limits the rate instead
+  MAX_ATTEMPTS: 0,
+  BREAKER_THRESHOLD: 8,
+  BREAKER_PROBE_INTERVAL: 60000
+};
+
+export const KEEPALIVE_CONFIG = {
+  ALARM_NAME: 'alice-keepalive',
+  ALARM_PERIOD_MINUTES: 0.5,
+  HEARTBEAT_INTERVAL: 20000,
+  // Slack on top of HEARTBEAT_INTERVAL before a predecessor's last
+  // heartbeat is too old to mean it was evicted
+  HEARTBEAT_GRACE: 10000,
+  STORAGE_KEY: 'serviceWorkerLifecycle',
+  MAX_EVENTS: 20
+};
+
+export const QUEUE_CONFIG = {
+  STORAGE_AREA: 'session',
+  STORAGE_KEY: 'outboundMessageQueue',
+  MAX_SIZE: 50,
+  DEFAULT_TTL: 600000,
+  PERSIST_DELAY: 100,
+  // Budget for the copy in chrome.storage; larger backlogs (e.g. a long
+  // context_response) are kept in memory only, newest messages first
+  MAX_PERSIST_BYTES: 1048576,
+  // Replies are useless once Alice's own request has timed out
+  TYPE_TTL: {
+    context_response: 30000,
+    content_response: 30000,
+    links_response: 30000,
+    selection_response: 30000,
+    metadata_response: 30000,
+    tabs_response: 30000,
+    command_response: 30000,
+    error: 30000
+  },
+  CONTENT_DEDUPE_TYPES: ['context_action'],
+  // Connection-scoped messages are meaningless on a later connection
+  EXCLUDED_TYPES: ['ping', 'pong', 'hello', 'hello_ack', 'auth', 'context_chunk', 'context_end']
+};
+
+export const STREAM_CONFIG = {
+  CHUNK_SIZE: 2000,
+  MIN_CHUNK_SIZE: 200,
+  // Hold further chunks while this many bytes are still waiting to be sent
+  MAX_BUFFERED_AMOUNT: 262144,
+  DRAIN_POLL_INTERVAL: 50,
+  DRAIN_TIMEOUT: 30000
+};
+
+export const METRICS_CONFIG = {
+  MAX_SAMPLES: 100,
+  SPARKLINE_SAMPLES: 30,
+  // Pings older than this are assumed lost and stop counting toward RTT
+  PING_EXPIRY: 60000
+};
+
 export const CONTENT_CONFIG = {
   MIN_TEXT_DENSITY: 0.4,
   MAX_LINK_DENSITY: 0.2,
@@ -41,10 +120,72 @@ export const BROWSER_CONTEXT_CONFIG = {
   CONTENT_SCRIPT_TIMEOUT: 10000,
   TAB_QUERY_TIMEOUT: 5000,
   CONTENT_SCRIPT_INIT_DELAY: 200,
+  // How long "Summarize linked page" waits for the link to load in its
+  // inactive (but visible) tab
+  LINK_LOAD_TIMEOUT: 20000,
   RESTRICTED_PROTOCOLS: [
     'chrome:', 'chrome-extension:', 'about:', 'edge:', 'moz-extension:'
   ],
   CACHE_TIMEOUT: 60000,
+  BATCH_CONCURRENCY: 3,
+  // Upper bound on options.concurrency, since every parallel tab runs its
+  // own content script extraction
+  BATCH_MAX_CONCURRENCY: 5,
+  BATCH_MAX_TABS: 20,
+};
+
+export const COMMAND_CONFIG = {
+  // Content-script commands are re-registered from here when the service
+  // worker restarts, without waiting for every tab to announce them again
+  STORAGE_AREA: 'session',
+  STORAGE_KEY: 'contentCommands'
+};
+
+export const NOTIFICATION_CONFIG = {
+  STORAGE_KEY: 'aliceNotifications',
+  ID_PREFIX: 'alice-notify-',
+  // Older notifications lose their buttons' targets
+  MAX_TRACKED: 20,
+  ICON_URL: 'icon.png'
+};
+
+export const ANSWER_OVERLAY_CONFIG = {
+  // Context menu actions whose answer is shown next to the selection
+  ACTIONS: ['summarize', 'tell_more', 'summarize_link', 'describe_image', 'summarize_page'],
+  MAX_ROUTES: 20,
+  // Routes outlive a service worker restart in chrome.storage.session
+  STORAGE_KEY: 'answerRoutes'
+};
+
+export const CUSTOM_ACTIONS_CONFIG = {
+  STORAGE_AREA: 'sync',
+  STORAGE_KEY: 'customContextActions',
+  MENU_ID_PREFIX: 'alice-custom-',
+  // Prefix of the `action` sent in context_action, e.g. "custom:translate-to-german"
+  ACTION_PREFIX: 'custom:',
+  CONTEXTS: ['selection', 'link', 'image', 'page'],
+  MAX_ACTIONS: 20,
+  MAX_TITLE_LENGTH: 60,
+  EXAMPLES: [
+    {
+      title: 'Translate to German',
+      template: 'Translate the following text to German:\n\n{selection}',
+      contexts: ['selection'],
+      showAnswer: true
+    },
+    {
+      title: 'Explain this code',
+      template: 'Explain what this code does, step by step:\n\n{selection}\n\n(from {title}, {url})',
+      contexts: ['selection'],
+      showAnswer: true
+    },
+    {
+      title: 'Draft a reply',
+      template: 'Draft a reply to this message from {url}:\n\n{selection}',
+      contexts: ['selection', 'page'],
+      showAnswer: true
+    }
+  ]
 };
 
 export const LOGGING_CONFIG = {
@@ -55,16 +196,30 @@ export const LOGGING_CONFIG = {
 
 export const MESSAGE_TYPES = {
   GET_CONTEXT: 'get_context',
+  GET_CONTEXT_BATCH: 'get_context_batch',
   GET_CONTENT: 'get_content',
   GET_LINKS: 'get_links',
   GET_SELECTION: 'get_selection',
   GET_METADATA: 'get_metadata',
+  LIST_TABS: 'list_tabs',
   CONTEXT_RESPONSE: 'context_response',
   CONTENT_RESPONSE: 'content_response',
   LINKS_RESPONSE: 'links_response',
   SELECTION_RESPONSE: 'selection_response',
   METADATA_RESPONSE: 'metadata_response',
+  TABS_RESPONSE: 'tabs_response',
+  COMMAND_RESPONSE: 'command_response',
+  CONTEXT_CHUNK: 'context_chunk',
+  CONTEXT_END: 'context_end',
   CONTEXT_ACTION: 'context_action',
+  ANSWER_CHUNK: 'answer_chunk',
+  ANSWER_END: 'answer_end',
+  NOTIFY: 'notify',
+  NOTIFICATION_ACTION: 'notification_action',
+  CANCEL: 'cancel',
+  HELLO: 'hello',
+  HELLO_ACK: 'hello_ack',
+  AUTH: 'auth',
   PING: 'ping',
   PONG: 'pong',
   ERROR: 'error'
@@ -74,6 +229,7 @@ export const CONTENT_FORMATS = {
   TEXT: 'text',
   STRUCTURED: 'structured',
   BOTH: 'both',
+  MARKDOWN: 'markdown',
 };
 
 export const CONTENT_QUALITY = {
@@ -86,13 +242,23 @@ export const ERROR_CODES = {
   WS_CONNECTION_FAILED: 'WS_CONNECTION_FAILED',
   WS_CONNECTION_TIMEOUT: 'WS_CONNECTION_TIMEOUT',
   WS_MESSAGE_PARSE_ERROR: 'WS_MESSAGE_PARSE_ERROR',
+  WS_PROTOCOL_MISMATCH: 'WS_PROTOCOL_MISMATCH',
+  WS_STREAM_ABORTED: 'WS_STREAM_ABORTED',
+  
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_FAILED: 'AUTH_FAILED',
   
   BC_NO_ACTIVE_TAB: 'BC_NO_ACTIVE_TAB',
   BC_RESTRICTED_PAGE: 'BC_RESTRICTED_PAGE',
+  BC_TAB_NOT_FOUND: 'BC_TAB_NOT_FOUND',
+  BC_WINDOW_NOT_FOUND: 'BC_WINDOW_NOT_FOUND',
   BC_CONTENT_SCRIPT_TIMEOUT: 'BC_CONTENT_SCRIPT_TIMEOUT',
   
+  CANCELLED: 'CANCELLED',
+  REQUEST_TIMEOUT: 'REQUEST_TIMEOUT',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR',
-  INVALID_REQUEST: 'INVALID_REQUEST'
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNSUPPORTED_MESSAGE_TYPE: 'UNSUPPORTED_MESSAGE_TYPE'
 };
 
 export const LOG_LEVELS = {
@@ -113,7 +279,13 @@ export const DEFAULT_REQUEST_OPTIONS = {
 export const CONTEXT_MENU_ACTIONS = {
   FACT_CHECK: 'fact_check',
   SUMMARIZE: 'summarize',
-  TELL_MORE: 'tell_more'
+  TELL_MORE: 'tell_more',
+  SUMMARIZE_LINK: 'summarize_link',
+  DESCRIBE_IMAGE: 'describe_image',
+  SUMMARIZE_PAGE: 'summarize_page',
+  SEND_SELECTION: 'send_selection',
+  ASK: 'ask',
+  FOLLOW_UP: 'follow_up'
 };
 
 export function getCurrentEnvironmentConfig() {
@@ -1,5 +1,6 @@
 /**
- * Simplified message types for LLM-optimized Chrome Extension communication
+ * Simplified message types for LLM-optimized Chrome Extension communication.
+ * Runtime schemas for these live in simplified-schemas.js; keep both in sync.
  */
 
 /**
@@ -11,10 +12,15 @@
 
 /**
  * @typedef {Object} SimplifiedContextOptions
- * @property {'structured'|'text'|'both'} [format='text'] - Response format
+ * @property {'structured'|'text'|'both'|'markdown'} [format='text'] - Response format
  * @property {number} [maxTokens=2000] - Maximum tokens for content
  * @property {boolean} [includeLinks=true] - Whether to include links
  * @property {boolean} [includeSelection=true] - Whether to include selection
+ * @property {number} [tabId] - Read this tab instead of the active one
+ * @property {number} [windowId] - Read the active tab of this window, or scope urlPattern to it
+ * @property {string} [urlPattern] - Read the tab whose URL matches this glob (e.g. "https://docs.*")
+ * @property {boolean} [stream=false] - get_context only: stream the content as context_chunk messages
+ * @property {number} [chunkSize=2000] - Target chunk length in characters when streaming
  */
 
 /**
@@ -28,12 +34,101 @@
  * @typedef {Object} SimplifiedContextData
  * @property {string} url - The current page URL
  * @property {string} title - The page title
- * @property {string} content - Filtered main content text
+ * @property {string} content - Filtered main content text, or Markdown for the 'markdown' format
  * @property {Array<SimplifiedLinkData>} [links] - Relevant links (if requested)
  * @property {string} [selection] - Selected text (if requested)
+ * @property {SimplifiedStructuredContent} [structuredContent] - Content blocks ('structured' and 'both' formats)
  * @property {SimplifiedContentMetadata} metadata - Content metadata
  */
 
+/**
+ * Main content as typed blocks in document order. The other arrays are
+ * views of `blocks` by type; `outline` nests headings by level.
+ * @typedef {Object} SimplifiedStructuredContent
+ * @property {string} title - The page title
+ * @property {Array<SimplifiedContentBlock>} blocks - All blocks in document order
+ * @property {Array<{level: number, text: string, children: Array}>} outline - Heading tree
+ * @property {Array<SimplifiedContentBlock>} headings - Heading blocks
+ * @property {Array<string>} paragraphs - Paragraph texts
+ * @property {Array<SimplifiedContentBlock & {type: 'ordered'|'unordered'}>} lists - List blocks
+ * @property {Array<SimplifiedContentBlock>} tables - Table blocks
+ * @property {Array<SimplifiedContentBlock>} codeBlocks - Code blocks
+ * @property {Array<SimplifiedContentBlock>} blockquotes - Blockquote blocks
+ * @property {Array<SimplifiedContentBlock>} figures - Figure blocks
+ * @property {boolean} truncated - Blocks were dropped to stay within maxTokens
+ */
+
+/**
+ * @typedef {Object} SimplifiedContentBlock
+ * @property {'heading'|'paragraph'|'list'|'table'|'code'|'blockquote'|'figure'} type - Block type
+ * @property {string} [text] - Text of headings, paragraphs, code and blockquotes
+ * @property {number} [level] - Heading level, 1-6
+ * @property {string} [id] - Heading element id, for linking
+ * @property {boolean} [ordered] - Whether a list is numbered
+ * @property {Array<{text: string, list?: SimplifiedContentBlock}>} [items] - List items and their nested lists
+ * @property {Array<string>} [headers] - Table header cells
+ * @property {Array<Array<string>>} [rows] - Table body rows
+ * @property {string} [language] - Code language from its class or data-lang, or null
+ * @property {string} [cite] - Blockquote source URL
+ * @property {string} [caption] - Table, code or figure caption
+ * @property {Array<{src: string|null, alt: string}>} [images] - Figure images; src is null for data: URIs
+ */
+
+/**
+ * Chunks are sent while the page is still being read, so their number is
+ * only known from context_end. Text chunks come first, then chunks of
+ * structured blocks for the 'structured' and 'both' formats.
+ * @typedef {Object} SimplifiedContextChunkMessage
+ * @property {'context_chunk'} type - Message type
+ * @property {string} requestId - Matching get_context request identifier
+ * @property {number} sequence - Zero-based position of this chunk
+ * @property {{text: string, startIndex: number, endIndex: number}|{blocks: Array<SimplifiedContentBlock>, blockIndex: number}} data -
+ *   Chunk text and its character offsets in the page content, or
+ *   structured blocks and the position of the first one
+ */
+
+/**
+ * When blocks were streamed, `data.structuredContent` keeps only `title`,
+ * `outline`, `truncated` and `blockCount`
+ * @typedef {Object} SimplifiedContextEndMessage
+ * @property {'context_end'} type - Message type
+ * @property {string} requestId - Matching get_context request identifier
+ * @property {number} chunkCount - Number of chunks actually sent
+ * @property {Omit<SimplifiedContextData, 'content'> & {contentLength: number}|null} data -
+ *   The rest of the context, or null if the stream was aborted
+ * @property {{code: string, message: string}} [error] - WS_STREAM_ABORTED when sending stopped early
+ */
+
+/**
+ * @typedef {Object} SimplifiedContextBatchRequest
+ * @property {'get_context_batch'} type - Message type
+ * @property {string} requestId - Unique request identifier
+ * @property {SimplifiedContextOptions & {tabIds?: Array<number>, concurrency?: number}} options -
+ *   Extraction options applied to every tab; without tabIds all tabs of
+ *   options.windowId (or the current window) are read. concurrency is
+ *   1 to BATCH_MAX_CONCURRENCY, BATCH_CONCURRENCY by default.
+ */
+
+/**
+ * Data of a get_context_batch response. At most BATCH_MAX_TABS tabs are
+ * read; the rest are listed in `omittedTabIds`.
+ * @typedef {Object} SimplifiedContextBatchData
+ * @property {Array<SimplifiedBatchContextEntry>} results - One entry per tab read, in request order
+ * @property {number} successCount - Entries with data
+ * @property {number} errorCount - Entries with an error
+ * @property {boolean} [truncated] - Set when tabs were left out
+ * @property {Array<number>} [omittedTabIds] - Ids of the tabs left out
+ */
+
+/**
+ * @typedef {Object} SimplifiedBatchContextEntry
+ * @property {number} tabId - Tab the entry belongs to
+ * @property {string} url - Tab URL
+ * @property {string} title - Tab title
+ * @property {SimplifiedContextData|null} data - Extracted context, null on failure
+ * @property {{code: string, message: string}} [error] - Per-tab error
+ */
+
 /**
  * @typedef {Object} SimplifiedLinkData
  * @property {string} text - Link text
@@ -48,6 +143,192 @@
  * @property {string} format - Content format used
  */
 
+/**
+ * @typedef {Object} SimplifiedListTabsRequest
+ * @property {'list_tabs'} type - Message type
+ * @property {string} requestId - Unique request identifier
+ * @property {Object} [options] - Request options
+ * @property {number} [options.windowId] - Only list tabs in this window
+ * @property {string} [options.urlPattern] - Only list tabs whose URL matches this glob
+ */
+
+/**
+ * @typedef {Object} SimplifiedTabsResponse
+ * @property {'tabs_response'} type - Response type
+ * @property {string} requestId - Matching request identifier
+ * @property {{tabs: Array<SimplifiedTabInfo>, count: number}} data - Response data
+ */
+
+/**
+ * @typedef {Object} SimplifiedTabInfo
+ * @property {number} id - Tab id, usable as options.tabId in get_* requests
+ * @property {number} windowId - Window the tab belongs to
+ * @property {string} title - Tab title
+ * @property {string} url - Tab URL
+ * @property {string} favicon - Favicon URL, empty if none
+ * @property {boolean} audible - Whether the tab is playing sound
+ * @property {boolean} pinned - Whether the tab is pinned
+ * @property {boolean} active - Whether the tab is active in its window
+ * @property {number|null} lastAccessed - Last access time in ms since epoch
+ * @property {boolean} isRestricted - Whether the page cannot be read
+ */
+
+/**
+ * @typedef {Object} SimplifiedContextActionMessage
+ * @property {'context_action'} type - Message type
+ * @property {string} requestId - Extension-generated identifier; Alice replies with the same id
+ * @property {SimplifiedContextActionData} data - Action payload;
+ *   `follow_up` actions from the answer overlay add `question` and `previousRequestId`;
+ *   user-defined actions are sent as `custom:<id>` with their menu `label` and the
+ *   filled-in `prompt` template
+ * @property {string} timestamp - ISO timestamp
+ */
+
+/**
+ * What a context action is about depends on where the menu was opened:
+ *   - selection (fact_check, summarize, tell_more): `selectedText`
+ *   - link (summarize_link): `link`, plus `linkedPage` extracted from an
+ *     inactive tab, or `linkedPageError` if it could not be loaded
+ *   - image (describe_image): `image`
+ *   - page (summarize_page): `page`, the full get_context data, or `pageError`
+ * @typedef {Object} SimplifiedContextActionData
+ * @property {string} action - Action id, e.g. "summarize_link" or "custom:<id>"
+ * @property {'selection'|'link'|'image'|'page'} [target] - What was right-clicked (built-in actions)
+ * @property {string} [selectedText] - Selected text
+ * @property {SimplifiedSelectionContext} [selectionContext] - What surrounds the selected text
+ * @property {{url: string, text: string, title: string}} [link] - The link and its anchor text
+ * @property {Omit<SimplifiedContextData, 'links'|'selection'>} [linkedPage] - Content of the linked page
+ * @property {{srcUrl: string, alt: string, title: string, caption: string, surroundingText: string, width: number, height: number}} [image] -
+ *   The image URL and the text describing it in the page
+ * @property {SimplifiedContextData} [page] - Full context of the current page
+ * @property {string} url - URL of the page the menu was opened on
+ * @property {string} title - Title of that page
+ * @property {number} tabId - Its tab, for replies such as `notify`
+ * @property {string} timestamp - ISO timestamp
+ */
+
+/**
+ * `quote` is a W3C Web Annotation TextQuoteSelector: `prefix` and `suffix`
+ * are up to 32 characters of page text around `exact`, enough to find the
+ * selection again when the same words appear more than once
+ * @typedef {Object} SimplifiedSelectionContext
+ * @property {Array<string>} paragraphs - Text of the block(s) the selection spans, in order
+ * @property {Array<{level: number, text: string}>} headingTrail - Headings above the selection, outermost first
+ * @property {{type: 'TextQuoteSelector', exact: string, prefix: string, suffix: string}} quote - Stable anchor
+ */
+
+/**
+ * Streams Alice's answer to a context action into the in-page overlay,
+ * under the context_action's requestId. Alice may instead answer inline
+ * with `data.answer` in its acknowledgement.
+ * @typedef {Object} SimplifiedAnswerChunkMessage
+ * @property {'answer_chunk'} type - Message type
+ * @property {string} requestId - requestId of the context_action being answered
+ * @property {{text: string}} data - Text to append
+ */
+
+/**
+ * @typedef {Object} SimplifiedAnswerEndMessage
+ * @property {'answer_end'} type - Message type
+ * @property {string} requestId - requestId of the context_action being answered
+ * @property {{text: string}|null} [data] - Full answer, replacing the streamed text if given
+ * @property {{code: string, message: string}} [error] - Shown in the overlay instead of an answer
+ */
+
+/**
+ * Sent by Alice to show a result in the browser, e.g. a fact-check verdict.
+ * Uses its own `requestId` (if any); the context_action it answers goes in
+ * `data.actionRequestId` since that id was already acknowledged.
+ * @typedef {Object} SimplifiedNotifyMessage
+ * @property {'notify'} type - Message type
+ * @property {SimplifiedNotifyData} data - Notification content
+ */
+
+/**
+ * @typedef {Object} SimplifiedNotifyData
+ * @property {string} [title='Alice'] - Notification title
+ * @property {string} message - Notification body
+ * @property {string} [contextMessage] - Secondary line, e.g. the page title
+ * @property {number} [tabId] - Source tab, focused by the "Open source tab" button
+ * @property {string} [url] - Opened instead when the source tab is gone
+ * @property {string} [actionRequestId] - requestId of the context_action this answers
+ * @property {boolean} [replyable=true] - Whether to show the "Reply" button
+ * @property {boolean} [requireInteraction=false] - Keep it on screen until dismissed
+ * @property {number} [priority=0] - Chrome notification priority, -2 to 2
+ */
+
+/**
+ * Sent when the user clicks "Reply" on a notification
+ * @typedef {Object} SimplifiedNotificationActionMessage
+ * @property {'notification_action'} type - Message type
+ * @property {{action: 'reply', notificationId: string, actionRequestId: ?string, tabId: ?number, url: ?string}} data -
+ *   The clicked button and what the notification was about
+ * @property {string} timestamp - ISO timestamp
+ */
+
+/**
+ * Sent by Alice to abandon one of its get_* requests. The extension stops
+ * working on it and answers the original requestId with an `error` whose
+ * code is CANCELLED; nothing else is sent for that request afterwards.
+ * @typedef {Object} SimplifiedCancelMessage
+ * @property {'cancel'} type - Message type
+ * @property {string} requestId - Identifier of the request to cancel
+ */
+
+/**
+ * Any message from Alice whose requestId matches an extension request
+ * resolves that request; an `error` property rejects it instead.
+ * @typedef {Object} SimplifiedAliceReply
+ * @property {string} type - Reply type chosen by Alice
+ * @property {string} requestId - Identifier of the extension request being answered
+ * @property {*} [data] - Reply payload
+ * @property {{code: string, message: string}} [error] - Set when Alice rejected the request
+ */
+
+/**
+ * Answer to a command registered by a content script (see
+ * src/content/modules/content-commands.js) that declares no response type
+ * of its own
+ * @typedef {Object} SimplifiedCommandResponse
+ * @property {'command_response'} type - Response type
+ * @property {string} requestId - Matching request identifier
+ * @property {*} data - Whatever the command's handler returned
+ * @property {{code: string, message: string}} [error] - Set when the command failed
+ */
+
+/**
+ * Sent by the extension as soon as the socket opens. Alice answers with a
+ * `hello_ack` carrying the same requestId and its own versions.
+ * @typedef {Object} SimplifiedHelloMessage
+ * @property {'hello'|'hello_ack'} type - Handshake message type
+ * @property {string} requestId - Handshake request identifier
+ * @property {string} [extensionVersion] - Extension version from the manifest
+ * @property {string} [appVersion] - Alice version (in hello_ack from Alice)
+ * @property {string} protocolVersion - Protocol version, "major.minor"; majors must match
+ * @property {{messageTypes: Array<string>, options: Array<string>}} capabilities - Supported message types and request options
+ * @property {SimplifiedHandshakeAuth} [auth] - Pairing challenge/response, present when a token is configured
+ * @property {Array<'gzip'|'deflate'>|string} [compression] - Algorithms we can use, most preferred
+ *   first; Alice answers with the one (or ones) it accepts. Once agreed, large messages
+ *   in either direction may be sent as binary frames holding the compressed JSON.
+ * @property {number} timestamp - Unix timestamp
+ */
+
+/**
+ * Pairing proofs are hex HMAC-SHA256(token, role + ":" + nonce) where role
+ * is "alice" for proofs Alice computes and "extension" for ours.
+ * @typedef {Object} SimplifiedHandshakeAuth
+ * @property {string} nonce - Random challenge for the other side
+ * @property {string} [proof] - Answer to the other side's nonce (hello_ack only)
+ */
+
+/**
+ * Sent after a successful hello_ack so Alice can verify the extension
+ * @typedef {Object} SimplifiedAuthMessage
+ * @property {'auth'} type - Message type
+ * @property {string} proof - HMAC proof for the nonce Alice sent in hello_ack
+ * @property {number} timestamp - Unix timestamp
+ */
+
 /**
  * @typedef {Object} SimplifiedPingMessage
  * @property {'ping'} type - Ping message type
@@ -65,5 +346,6 @@
  * @property {'error'} type - Error message type
  * @property {string} requestId - Request identifier (if applicable)
  * @property {string} message - Error message
- * @property {string} code - Error code
+ * @property {string} code - Error code, e.g. UNSUPPORTED_MESSAGE_TYPE for unknown types
+ * @property {string} [field] - Dotted path of the offending field for INVALID_REQUEST, e.g. "options.maxTokens"
  */
\ No newline at end of file
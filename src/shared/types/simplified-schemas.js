@@ -0,0 +1,553 @@
+import { MESSAGE_TYPES, CONTENT_FORMATS, BROWSER_CONTEXT_CONFIG } from '../constants/simplified-config.js';
+
+/**
+ * Runtime schemas for every protocol message, mirroring the typedefs in
+ * simplified-messages.js. The schema language is a small JSON Schema
+ * subset: type, enum, minimum, maximum, minLength, items, properties and
+ * required. Unknown properties are allowed so newer peers stay compatible.
+ */
+
+const requestId = { type: 'string', minLength: 1 };
+const timestamp = { type: ['string', 'number'] };
+
+const errorDetails = {
+  type: 'object',
+  properties: {
+    code: { type: 'string', minLength: 1 },
+    message: { type: 'string' }
+  },
+  required: ['code']
+};
+
+const tabSelectorOptions = {
+  tabId: { type: 'integer', minimum: 0 },
+  windowId: { type: 'integer' },
+  urlPattern: { type: 'string', minLength: 1 }
+};
+
+const extractionOptions = {
+  format: { type: 'string', enum: Object.values(CONTENT_FORMATS) },
+  maxTokens: { type: 'integer', minimum: 1 },
+  includeLinks: { type: 'boolean' },
+  includeSelection: { type: 'boolean' }
+};
+
+/**
+ * Schema for a request message whose options have the given property schemas
+ */
+export function requestSchema(type, options = {}) {
+  return {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [type] },
+      requestId: requestId,
+      options: { type: 'object', properties: options }
+    },
+    required: ['type', 'requestId']
+  };
+}
+
+function response(type, data = { type: ['object', 'null'] }) {
+  return {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [type] },
+      requestId: requestId,
+      data: data,
+      error: errorDetails,
+      timestamp: timestamp
+    },
+    required: ['type', 'requestId']
+  };
+}
+
+export const MESSAGE_SCHEMAS = {
+  [MESSAGE_TYPES.GET_CONTEXT]: requestSchema(MESSAGE_TYPES.GET_CONTEXT, {
+    ...extractionOptions,
+    ...tabSelectorOptions,
+    stream: { type: 'boolean' },
+    chunkSize: { type: 'integer', minimum: 1 }
+  }),
+  [MESSAGE_TYPES.GET_CONTEXT_BATCH]: requestSchema(MESSAGE_TYPES.GET_CONTEXT_BATCH, {
+    ...extractionOptions,
+    windowId: tabSelectorOptions.windowId,
+    tabIds: { type: 'array', items: { type: 'integer', minimum: 0 } },
+    concurrency: { type: 'integer', minimum: 1, maximum: BROWSER_CONTEXT_CONFIG.BATCH_MAX_CONCURRENCY }
+  }),
+  [MESSAGE_TYPES.GET_CONTENT]: requestSchema(MESSAGE_TYPES.GET_CONTENT, {
+    ...extractionOptions,
+    ...tabSelectorOptions
+  }),
+  [MESSAGE_TYPES.GET_LINKS]: requestSchema(MESSAGE_TYPES.GET_LINKS, {
+    ...extractionOptions,
+    ...tabSelectorOptions
+  }),
+  [MESSAGE_TYPES.GET_SELECTION]: requestSchema(MESSAGE_TYPES.GET_SELECTION, {
+    ...extractionOptions,
+    ...tabSelectorOptions
+  }),
+  [MESSAGE_TYPES.GET_METADATA]: requestSchema(MESSAGE_TYPES.GET_METADATA, {
+    ...extractionOptions,
+    ...tabSelectorOptions
+  }),
+  [MESSAGE_TYPES.LIST_TABS]: requestSchema(MESSAGE_TYPES.LIST_TABS, {
+    windowId: tabSelectorOptions.windowId,
+    urlPattern: tabSelectorOptions.urlPattern
+  }),
+
+  [MESSAGE_TYPES.CONTEXT_RESPONSE]: response(MESSAGE_TYPES.CONTEXT_RESPONSE),
+  [MESSAGE_TYPES.CONTENT_RESPONSE]: response(MESSAGE_TYPES.CONTENT_RESPONSE),
+  [MESSAGE_TYPES.LINKS_RESPONSE]: response(MESSAGE_TYPES.LINKS_RESPONSE),
+  [MESSAGE_TYPES.SELECTION_RESPONSE]: response(MESSAGE_TYPES.SELECTION_RESPONSE),
+  [MESSAGE_TYPES.METADATA_RESPONSE]: response(MESSAGE_TYPES.METADATA_RESPONSE),
+  [MESSAGE_TYPES.TABS_RESPONSE]: response(MESSAGE_TYPES.TABS_RESPONSE, {
+    type: ['object', 'null'],
+    properties: {
+      tabs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            windowId: { type: 'integer' },
+            title: { type: 'string' },
+            url: { type: 'string' }
+          },
+          required: ['id', 'windowId']
+        }
+      },
+      count: { type: 'integer', minimum: 0 }
+    },
+    required: ['tabs', 'count']
+  }),
+
+  [MESSAGE_TYPES.COMMAND_RESPONSE]: response(MESSAGE_TYPES.COMMAND_RESPONSE, {}),
+
+  [MESSAGE_TYPES.CONTEXT_CHUNK]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.CONTEXT_CHUNK] },
+      requestId: requestId,
+      sequence: { type: 'integer', minimum: 0 },
+      data: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          startIndex: { type: 'integer', minimum: 0 },
+          endIndex: { type: 'integer', minimum: 0 },
+          blocks: { type: 'array' },
+          blockIndex: { type: 'integer', minimum: 0 }
+        }
+      },
+      timestamp: timestamp
+    },
+    required: ['type', 'requestId', 'sequence', 'data']
+  },
+  [MESSAGE_TYPES.CONTEXT_END]: {
+    ...response(MESSAGE_TYPES.CONTEXT_END),
+    required: ['type', 'requestId', 'chunkCount']
+  },
+
+  [MESSAGE_TYPES.CONTEXT_ACTION]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.CONTEXT_ACTION] },
+      requestId: requestId,
+      data: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', minLength: 1 },
+          selectedText: { type: 'string' },
+          url: { type: 'string' },
+          title: { type: 'string' },
+          tabId: { type: 'integer', minimum: 0 },
+          question: { type: 'string', minLength: 1 },
+          previousRequestId: requestId,
+          label: { type: 'string' },
+          prompt: { type: 'string' },
+          target: { type: 'string', enum: ['selection', 'link', 'image', 'page'] },
+          link: {
+            type: 'object',
+            properties: {
+              url: { type: 'string', minLength: 1 },
+              text: { type: 'string' },
+              title: { type: 'string' }
+            },
+            required: ['url']
+          },
+          linkedPage: { type: 'object' },
+          linkedPageError: { type: 'string' },
+          image: {
+            type: 'object',
+            properties: {
+              srcUrl: { type: 'string', minLength: 1 },
+              alt: { type: 'string' },
+              title: { type: 'string' },
+              caption: { type: 'string' },
+              surroundingText: { type: 'string' },
+              width: { type: 'integer', minimum: 0 },
+              height: { type: 'integer', minimum: 0 }
+            },
+            required: ['srcUrl']
+          },
+          page: { type: 'object' },
+          pageError: { type: 'string' },
+          selectionContext: {
+            type: 'object',
+            properties: {
+              paragraphs: { type: 'array', items: { type: 'string' } },
+              headingTrail: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    level: { type: 'integer', minimum: 1, maximum: 6 },
+                    text: { type: 'string' }
+                  },
+                  required: ['level', 'text']
+                }
+              },
+              quote: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['TextQuoteSelector'] },
+                  exact: { type: 'string', minLength: 1 },
+                  prefix: { type: 'string' },
+                  suffix: { type: 'string' }
+                },
+                required: ['type', 'exact']
+              }
+            }
+          }
+        },
+        required: ['action']
+      },
+      timestamp: timestamp
+    },
+    required: ['type', 'data']
+  },
+  [MESSAGE_TYPES.ANSWER_CHUNK]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.ANSWER_CHUNK] },
+      requestId: requestId,
+      sequence: { type: 'integer', minimum: 0 },
+      data: {
+        type: 'object',
+        properties: { text: { type: 'string' } },
+        required: ['text']
+      },
+      timestamp: timestamp
+    },
+    required: ['type', 'requestId', 'data']
+  },
+  [MESSAGE_TYPES.ANSWER_END]: response(MESSAGE_TYPES.ANSWER_END, {
+    type: ['object', 'null'],
+    properties: { text: { type: 'string' } }
+  }),
+  [MESSAGE_TYPES.NOTIFY]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.NOTIFY] },
+      requestId: requestId,
+      data: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          message: { type: 'string', minLength: 1 },
+          contextMessage: { type: 'string' },
+          tabId: { type: 'integer', minimum: 0 },
+          url: { type: 'string', minLength: 1 },
+          actionRequestId: requestId,
+          replyable: { type: 'boolean' },
+          requireInteraction: { type: 'boolean' },
+          priority: { type: 'integer', minimum: -2, maximum: 2 }
+        },
+        required: ['message']
+      },
+      timestamp: timestamp
+    },
+    required: ['type', 'data']
+  },
+  [MESSAGE_TYPES.NOTIFICATION_ACTION]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.NOTIFICATION_ACTION] },
+      data: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: ['reply'] },
+          notificationId: { type: 'string', minLength: 1 },
+          actionRequestId: { type: ['string', 'null'] },
+          tabId: { type: ['integer', 'null'] },
+          url: { type: ['string', 'null'] }
+        },
+        required: ['action', 'notificationId']
+      },
+      timestamp: timestamp
+    },
+    required: ['type', 'data']
+  },
+
+  [MESSAGE_TYPES.CANCEL]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.CANCEL] },
+      requestId: requestId
+    },
+    required: ['type', 'requestId']
+  },
+
+  [MESSAGE_TYPES.HELLO]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.HELLO] },
+      requestId: requestId,
+      protocolVersion: { type: 'string', minLength: 1 },
+      capabilities: { type: 'object' },
+      auth: { type: 'object', properties: { nonce: { type: 'string' } } },
+      compression: { type: ['array', 'string'] }
+    },
+    required: ['type', 'protocolVersion']
+  },
+  [MESSAGE_TYPES.HELLO_ACK]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.HELLO_ACK] },
+      requestId: requestId,
+      protocolVersion: { type: 'string', minLength: 1 },
+      capabilities: { type: 'object' },
+      auth: {
+        type: 'object',
+        properties: { nonce: { type: 'string' }, proof: { type: 'string' } }
+      },
+      compression: { type: ['array', 'string'] }
+    },
+    required: ['type', 'protocolVersion']
+  },
+  [MESSAGE_TYPES.AUTH]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.AUTH] },
+      proof: { type: 'string', minLength: 1 }
+    },
+    required: ['type', 'proof']
+  },
+
+  [MESSAGE_TYPES.PING]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.PING] },
+      pingId: { type: 'string' },
+      timestamp: timestamp
+    },
+    required: ['type']
+  },
+  [MESSAGE_TYPES.PONG]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.PONG] },
+      pingId: { type: 'string' },
+      timestamp: timestamp
+    },
+    required: ['type']
+  },
+  [MESSAGE_TYPES.ERROR]: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: [MESSAGE_TYPES.ERROR] },
+      requestId: requestId,
+      code: { type: 'string', minLength: 1 },
+      message: { type: 'string' },
+      field: { type: 'string' }
+    },
+    required: ['type', 'code']
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  return actual === expected || (expected === 'number' && actual === 'integer');
+}
+
+function describeType(types) {
+  return types.map(type => (type === 'integer' || type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ');
+}
+
+/**
+ * Check a value against a schema. Returns null when it matches, otherwise
+ * { field, message } for the first mismatch, with field as a dotted path.
+ */
+export function validateValue(value, schema, path = '') {
+  const label = path || 'message';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return { field: path, message: `${label} must be ${describeType(types)}` };
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { field: path, message: `${label} must be one of: ${schema.enum.join(', ')}` };
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return { field: path, message: `${label} must be >= ${schema.minimum}` };
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return { field: path, message: `${label} must be <= ${schema.maximum}` };
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    return { field: path, message: `${label} must not be empty` };
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = validateValue(value[i], schema.items, `${path}[${i}]`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        const field = path ? `${path}.${key}` : key;
+        return { field, message: `${field} is required` };
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) {
+        continue;
+      }
+      const error = validateValue(value[key], propertySchema, path ? `${path}.${key}` : key);
+      if (error) {
+        return error;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a protocol message against the schema for its type. Types
+ * without a schema are left to the dispatcher to reject.
+ */
+export function validateMessage(message) {
+  if (typeOf(message) !== 'object') {
+    return { field: '', message: 'message must be an object' };
+  }
+
+  if (typeof message.type !== 'string' || !message.type) {
+    return { field: 'type', message: 'type is required' };
+  }
+
+  const schema = MESSAGE_SCHEMAS[message.type];
+  return schema ? validateValue(message, schema) : null;
+}
+
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const BUILT_IN_TYPES = new Set(Object.values(MESSAGE_TYPES));
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const SCHEMA_KEYWORDS = ['type', 'enum', 'minimum', 'maximum', 'minLength', 'items', 'properties', 'required'];
+
+const COMMAND_DESCRIPTOR_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', minLength: 1 },
+    responseType: { type: ['string', 'null'] },
+    options: { type: 'object' }
+  },
+  required: ['type']
+};
+
+/**
+ * Check a command announced by a content script before it is registered:
+ * its type and responseType must be snake_case names that are not built-in
+ * message types (command_response excepted), and each option a schema in
+ * the subset validateValue understands. Returns null or { field, message }.
+ */
+export function validateCommandDescriptor(descriptor) {
+  const invalid = validateValue(descriptor, COMMAND_DESCRIPTOR_SCHEMA);
+  if (invalid) {
+    return invalid;
+  }
+
+  const { type, responseType } = descriptor;
+  if (!COMMAND_NAME_PATTERN.test(type) || BUILT_IN_TYPES.has(type)) {
+    return { field: 'type', message: `${type} is not a valid command type` };
+  }
+
+  if (typeof responseType === 'string' && responseType !== MESSAGE_TYPES.COMMAND_RESPONSE &&
+      (!COMMAND_NAME_PATTERN.test(responseType) || BUILT_IN_TYPES.has(responseType))) {
+    return { field: 'responseType', message: `${responseType} is not a valid response type` };
+  }
+
+  for (const [key, schema] of Object.entries(descriptor.options || {})) {
+    const error = validateSchema(schema, `options.${key}`);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+function validateSchema(schema, path) {
+  if (typeOf(schema) !== 'object') {
+    return { field: path, message: `${path} must be a schema object` };
+  }
+
+  const unknown = Object.keys(schema).find(key => !SCHEMA_KEYWORDS.includes(key));
+  if (unknown) {
+    return { field: `${path}.${unknown}`, message: `${path} uses unsupported keyword ${unknown}` };
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (types.length === 0 || !types.every(type => SCHEMA_TYPES.includes(type))) {
+      return { field: `${path}.type`, message: `${path}.type must name ${SCHEMA_TYPES.join(', ')}` };
+    }
+  }
+
+  const checks = [
+    ['enum', 'array'],
+    ['minimum', 'number'],
+    ['maximum', 'number'],
+    ['minLength', 'integer'],
+    ['properties', 'object'],
+    ['required', 'array']
+  ];
+  for (const [keyword, expected] of checks) {
+    if (schema[keyword] !== undefined && !matchesType(schema[keyword], expected)) {
+      return { field: `${path}.${keyword}`, message: `${path}.${keyword} must be ${describeType([expected])}` };
+    }
+  }
+
+  if (schema.items !== undefined) {
+    const error = validateSchema(schema.items, `${path}.items`);
+    if (error) {
+      return error;
+    }
+  }
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    const error = validateSchema(propertySchema, `${path}.properties.${key}`);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
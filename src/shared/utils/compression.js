@@ -0,0 +1,37 @@
+/**
+ * Compression algorithms this runtime can produce, in order of preference
+ */
+export function getSupportedCompression(preferred = ['gzip', 'deflate']) {
+  if (typeof CompressionStream === 'undefined' || typeof DecompressionStream === 'undefined') {
+    return [];
+  }
+
+  return preferred.filter(algorithm => {
+    try {
+      new CompressionStream(algorithm);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Pick the first of our algorithms that the peer accepts. The peer may
+ * answer with a single algorithm or a list.
+ */
+export function negotiateCompression(supported, offered) {
+  const accepted = Array.isArray(offered) ? offered : offered ? [offered] : [];
+  return supported.find(algorithm => accepted.includes(algorithm)) || null;
+}
+
+export async function compressText(text, algorithm) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream(algorithm));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export async function decompressToText(data, algorithm) {
+  const blob = data instanceof Blob ? data : new Blob([data]);
+  const stream = blob.stream().pipeThrough(new DecompressionStream(algorithm));
+  return new Response(stream).text();
+}
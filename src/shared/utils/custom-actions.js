@@ -0,0 +1,77 @@
+import { CUSTOM_ACTIONS_CONFIG } from '../constants/simplified-config.js';
+
+const PLACEHOLDER_PATTERN = /\{(selection|url|title)\}/g;
+
+/**
+ * Keep only well-formed custom actions, as stored by the options page:
+ * { id, title, template, contexts, showAnswer }. Later duplicates of an id
+ * and anything past MAX_ACTIONS are dropped.
+ */
+export function normalizeCustomActions(actions) {
+  if (!Array.isArray(actions)) {
+    return [];
+  }
+
+  const seen = new Set();
+  const normalized = [];
+
+  for (const action of actions) {
+    if (!action || typeof action !== 'object') {
+      continue;
+    }
+
+    const id = typeof action.id === 'string' ? action.id.trim() : '';
+    const title = typeof action.title === 'string' ? action.title.trim() : '';
+    const template = typeof action.template === 'string' ? action.template : '';
+    const contexts = Array.isArray(action.contexts)
+      ? action.contexts.filter(context => CUSTOM_ACTIONS_CONFIG.CONTEXTS.includes(context))
+      : [];
+
+    if (!/^[a-z0-9-]+$/.test(id) || seen.has(id) || !title || !template.trim() || contexts.length === 0) {
+      continue;
+    }
+
+    seen.add(id);
+    normalized.push({
+      id: id,
+      title: title.slice(0, CUSTOM_ACTIONS_CONFIG.MAX_TITLE_LENGTH),
+      template: template,
+      contexts: [...new Set(contexts)],
+      showAnswer: !!action.showAnswer
+    });
+
+    if (normalized.length >= CUSTOM_ACTIONS_CONFIG.MAX_ACTIONS) {
+      break;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Fill {selection}, {url} and {title} in a prompt template. Other braces
+ * are left alone so templates can contain code or JSON.
+ */
+export function renderPromptTemplate(template, values = {}) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => values[name] || '');
+}
+
+/**
+ * Derive a stable id from an action's title, e.g. "Translate to German"
+ * becomes "translate-to-german"
+ */
+export function createCustomActionId(title, existingIds = []) {
+  const base = String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'action';
+
+  let id = base;
+  let suffix = 2;
+  while (existingIds.includes(id)) {
+    id = `${base}-${suffix}`;
+    suffix++;
+  }
+  return id;
+}
@@ -109,6 +109,10 @@ export class MemoryManager {
     return cached.data;
   }
 
+  removeCachedData(key) {
+    return this.cache.delete(key);
+  }
+
   clearExpiredCache() {
     const now = Date.now();
     for (const [key, cached] of this.cache.entries()) {
@@ -204,7 +204,8 @@ export class MetadataEnricher {
       totalWeight += indicators.hasLinks.weight;
     }
 
-    const hasCode = this.containsCode(content.text || '');
+    const codeBlocks = content.structuredContent && content.structuredContent.codeBlocks;
+    const hasCode = (codeBlocks && codeBlocks.length > 0) || this.containsCode(content.text || '');
     details.hasCode = hasCode;
     totalScore += (hasCode ? 1 : 0) * indicators.hasCode.weight;
     totalWeight += indicators.hasCode.weight;
@@ -336,6 +337,9 @@ export class MetadataEnricher {
       if (sc.lists) {
         structure.listTypes = [...new Set(sc.lists.map(l => l.type))];
       }
+
+      structure.hasTables = !!sc.tables && sc.tables.length > 0;
+      structure.hasImages = !!sc.figures && sc.figures.length > 0;
     }
 
     if (content.links) {
@@ -343,8 +347,12 @@ export class MetadataEnricher {
       structure.linkCount = content.links.length;
     }
 
-    structure.hasCode = this.containsCode(content.text || '');
-    structure.codeBlockCount = (content.text || '').match(/```[\s\S]*?```/g) || [];
+    if (content.structuredContent && content.structuredContent.codeBlocks) {
+      structure.codeBlockCount = content.structuredContent.codeBlocks.length;
+    } else {
+      structure.codeBlockCount = ((content.text || '').match(/```[\s\S]*?```/g) || []).length;
+    }
+    structure.hasCode = structure.codeBlockCount > 0 || this.containsCode(content.text || '');
 
     return structure;
   }
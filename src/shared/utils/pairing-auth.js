@@ -0,0 +1,65 @@
+/**
+ * Shared-secret pairing between the extension and Alice.
+ *
+ * The token itself never crosses the socket: each side sends a random nonce
+ * and the other side answers with HMAC-SHA256(token, role + ":" + nonce).
+ */
+
+const TOKEN_BYTES = 24;
+const NONCE_BYTES = 16;
+
+export const AUTH_ROLES = {
+  ALICE: 'alice',
+  EXTENSION: 'extension'
+};
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function randomHex(byteLength) {
+  const bytes = new Uint8Array(byteLength);
+  crypto.getRandomValues(bytes);
+  return toHex(bytes);
+}
+
+export function generatePairingToken() {
+  return randomHex(TOKEN_BYTES);
+}
+
+export function generateNonce() {
+  return randomHex(NONCE_BYTES);
+}
+
+export async function computeAuthProof(token, role, nonce) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(token),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${role}:${nonce}`));
+  return toHex(signature);
+}
+
+export async function verifyAuthProof(token, role, nonce, proof) {
+  if (!token || !nonce || typeof proof !== 'string') {
+    return false;
+  }
+
+  const expected = await computeAuthProof(token, role, nonce);
+  if (expected.length !== proof.length) {
+    return false;
+  }
+
+  // Constant-time comparison so timing does not leak matching prefixes
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ proof.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -33,10 +33,11 @@ export class SemanticChunker {
       targetSize = this.config.targetChunkSize,
       overlap = this.config.overlapSize,
       preserveStructure = true,
-      includeMetadata = true
+      includeMetadata = true,
+      lossless = false
     } = options;
 
-    if (!text || text.trim().length === 0) {
+    if (!text || (!lossless && text.trim().length === 0)) {
       return [];
     }
 
@@ -56,7 +57,8 @@ export class SemanticChunker {
       minSize,
       targetSize,
       overlap,
-      preserveStructure
+      preserveStructure,
+      lossless
     });
 
     if (overlap > 0 && chunks.length > 1) {
@@ -254,7 +256,7 @@ export class SemanticChunker {
   }
 
   createBoundaryBasedChunks(text, boundaries, options) {
-    const { maxSize, minSize, targetSize } = options;
+    const { maxSize, minSize, targetSize, lossless } = options;
     const chunks = [];
     let startIndex = 0;
     
@@ -281,8 +283,12 @@ export class SemanticChunker {
         endIndex = Math.min(startIndex + targetSize, text.length);
       }
       
-      const chunkText = text.substring(startIndex, endIndex).trim();
-      if (chunkText.length >= minSize) {
+      // lossless chunks are the exact text between their offsets, short or
+      // not, so joining them gives back the source
+      const chunkText = lossless
+        ? text.substring(startIndex, endIndex)
+        : text.substring(startIndex, endIndex).trim();
+      if (chunkText.length >= minSize || lossless) {
         chunks.push({
           text: chunkText,
           startIndex,
@@ -0,0 +1,109 @@
+const ALLOWED_SCHEMES = ['ws:', 'wss:'];
+const SUBPROTOCOL_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Validate a WebSocket endpoint URL and return it in normalized form.
+ * Paths and query strings are kept so reverse-proxied endpoints work.
+ */
+export function normalizeWebSocketUrl(value) {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if (!raw) {
+    throw new Error('WebSocket URL is required');
+  }
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (error) {
+    throw new Error(`Invalid WebSocket URL: ${raw}`);
+  }
+
+  if (!ALLOWED_SCHEMES.includes(url.protocol)) {
+    throw new Error(`WebSocket URL must start with ws:// or wss:// (got ${url.protocol}//)`);
+  }
+
+  if (!url.hostname) {
+    throw new Error('WebSocket URL must include a host');
+  }
+
+  if (url.hash) {
+    throw new Error('WebSocket URL must not contain a #fragment');
+  }
+
+  return url.toString();
+}
+
+/**
+ * Accept subprotocols as an array or a comma-separated string
+ */
+export function normalizeSubprotocols(value) {
+  if (!value) {
+    return [];
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const protocols = list.map(protocol => String(protocol).trim()).filter(Boolean);
+
+  for (const protocol of protocols) {
+    if (!SUBPROTOCOL_PATTERN.test(protocol)) {
+      throw new Error(`Invalid WebSocket subprotocol: ${protocol}`);
+    }
+  }
+
+  if (new Set(protocols).size !== protocols.length) {
+    throw new Error('WebSocket subprotocols must be unique');
+  }
+
+  return protocols;
+}
+
+/**
+ * Build a URL from the host/port pair stored by older versions
+ */
+export function legacyWebSocketUrl(host, port) {
+  return `ws://${host}:${port}`;
+}
+
+/**
+ * Validate one entry of the endpoint list, filling in defaults
+ */
+export function normalizeEndpoint(endpoint, index = 0) {
+  if (!endpoint || typeof endpoint !== 'object') {
+    throw new Error(`Endpoint ${index + 1} is invalid`);
+  }
+
+  const name = typeof endpoint.name === 'string' && endpoint.name.trim()
+    ? endpoint.name.trim()
+    : `Endpoint ${index + 1}`;
+
+  let url;
+  let protocols;
+  try {
+    url = normalizeWebSocketUrl(endpoint.url);
+    protocols = normalizeSubprotocols(endpoint.protocols);
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+
+  const priority = Number(endpoint.priority);
+
+  return {
+    id: endpoint.id ? String(endpoint.id) : `endpoint-${Date.now().toString(36)}-${index}`,
+    name: name,
+    url: url,
+    protocols: protocols,
+    priority: Number.isFinite(priority) ? priority : index
+  };
+}
+
+/**
+ * Order endpoints for connection attempts: the preferred endpoint first,
+ * then the rest by ascending priority
+ */
+export function orderEndpoints(endpoints, preferredId) {
+  return [...endpoints].sort((a, b) => {
+    if (a.id === preferredId) return -1;
+    if (b.id === preferredId) return 1;
+    return a.priority - b.priority;
+  });
+}
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compressText,
+  decompressToText,
+  getSupportedCompression,
+  negotiateCompression
+} from '../src/shared/utils/compression.js';
+
+test('the first of our algorithms the peer accepts is chosen', () => {
+  assert.equal(negotiateCompression(['gzip', 'deflate'], ['deflate', 'gzip']), 'gzip');
+  assert.equal(negotiateCompression(['gzip', 'deflate'], 'deflate'), 'deflate');
+  assert.equal(negotiateCompression(['gzip'], ['br']), null);
+  assert.equal(negotiateCompression(['gzip'], undefined), null);
+});
+
+test('unsupported algorithms are not offered', () => {
+  assert.deepEqual(getSupportedCompression(['gzip', 'not-an-algorithm']), ['gzip']);
+});
+
+test('text survives a compression round trip', async () => {
+  const text = JSON.stringify({ type: 'context_response', data: { content: 'Grüße 🌍 '.repeat(500) } });
+
+  for (const algorithm of ['gzip', 'deflate']) {
+    const compressed = await compressText(text, algorithm);
+    assert.ok(compressed.byteLength < text.length);
+    assert.equal(await decompressToText(compressed.buffer, algorithm), text);
+  }
+});
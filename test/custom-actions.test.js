@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CUSTOM_ACTIONS_CONFIG } from '../src/shared/constants/simplified-config.js';
+import {
+  createCustomActionId,
+  normalizeCustomActions,
+  renderPromptTemplate
+} from '../src/shared/utils/custom-actions.js';
+
+const action = (overrides = {}) => ({
+  id: 'translate',
+  title: 'Translate',
+  template: 'Translate: {selection}',
+  contexts: ['selection'],
+  showAnswer: true,
+  ...overrides
+});
+
+test('well-formed actions are kept and trimmed', () => {
+  assert.deepEqual(normalizeCustomActions([action({ id: ' translate ', title: ' Translate ' })]), [action()]);
+});
+
+test('malformed actions and duplicate ids are dropped', () => {
+  const actions = normalizeCustomActions([
+    null,
+    action({ id: 'Bad Id' }),
+    action({ id: 'no-title', title: ' ' }),
+    action({ id: 'no-template', template: '  ' }),
+    action({ id: 'no-context', contexts: ['toolbar'] }),
+    action(),
+    action({ title: 'Second translate' })
+  ]);
+
+  assert.deepEqual(actions.map(entry => entry.title), ['Translate']);
+});
+
+test('unknown contexts are filtered and repeats collapsed', () => {
+  const [normalized] = normalizeCustomActions([action({ contexts: ['selection', 'toolbar', 'selection'] })]);
+
+  assert.deepEqual(normalized.contexts, ['selection']);
+});
+
+test('at most MAX_ACTIONS actions are kept', () => {
+  const actions = Array.from({ length: CUSTOM_ACTIONS_CONFIG.MAX_ACTIONS + 3 }, (_, index) =>
+    action({ id: `action-${index}` })
+  );
+
+  assert.equal(normalizeCustomActions(actions).length, CUSTOM_ACTIONS_CONFIG.MAX_ACTIONS);
+  assert.deepEqual(normalizeCustomActions('not a list'), []);
+});
+
+test('templates fill known placeholders and leave other braces alone', () => {
+  const prompt = renderPromptTemplate('On {title} ({url}): {selection} {"json": {other}}', {
+    title: 'Page',
+    url: 'https://example.com',
+    selection: 'text'
+  });
+
+  assert.equal(prompt, 'On Page (https://example.com): text {"json": {other}}');
+  assert.equal(renderPromptTemplate('{selection}!'), '!');
+});
+
+test('ids are derived from titles and made unique', () => {
+  assert.equal(createCustomActionId('Translate to German!'), 'translate-to-german');
+  assert.equal(createCustomActionId('Translate', ['translate', 'translate-2']), 'translate-3');
+  assert.equal(createCustomActionId('???'), 'action');
+});
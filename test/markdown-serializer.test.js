@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MarkdownSerializer,
+  escapeBlockStarts,
+  escapeMarkdownText,
+  toMarkdownDestination,
+  toMarkdownImage
+} from '../src/content/modules/markdown-serializer.js';
+
+const serializer = new MarkdownSerializer();
+
+test('destinations with spaces or parentheses go in angle brackets', () => {
+  assert.equal(toMarkdownDestination('https://example.com/a_(b)'), '<https://example.com/a_(b)>');
+  assert.equal(toMarkdownDestination('https://example.com/a b<c>'), '<https://example.com/a%20b%3Cc%3E>');
+  assert.equal(toMarkdownDestination('https://example.com/plain'), 'https://example.com/plain');
+});
+
+test('data: images become their alt text', () => {
+  assert.equal(toMarkdownImage('A chart', 'data:image/png;base64,AAAA'), '[Image: A chart]');
+  assert.equal(toMarkdownImage('', 'data:image/png;base64,AAAA'), '');
+  assert.equal(toMarkdownImage('A [chart]', 'https://example.com/c.png'), '![A chart](https://example.com/c.png)');
+});
+
+test('an oversized code block keeps its closing fence', () => {
+  const { markdown, truncated } = serializer.serialize(
+    [{ type: 'code', language: 'js', text: 'const x = 1;\n'.repeat(20) }],
+    { maxChars: 40 }
+  );
+
+  assert.equal(truncated, true);
+  assert.ok(markdown.length <= 40);
+  assert.match(markdown, /^```js\n[\s\S]*\n```$/);
+});
+
+test('a cut list leaves no empty list markers', () => {
+  const list = {
+    type: 'list',
+    ordered: false,
+    items: [{ text: '', list: { type: 'list', ordered: true, items: [{ text: 'Nested item text' }] } }]
+  };
+
+  for (let maxChars = 1; maxChars < 20; maxChars++) {
+    const { markdown } = serializer.serialize([list], { maxChars: maxChars });
+    for (const line of markdown.split('\n')) {
+      assert.doesNotMatch(line, /^\s*(?:(?:-|\d+\.?)\s*)+$/, `maxChars ${maxChars}: ${JSON.stringify(markdown)}`);
+    }
+  }
+});
+
+test('an item holding only a nested list starts it on the marker line', () => {
+  const markdown = serializer.serializeBlock({
+    type: 'list',
+    ordered: false,
+    items: [{ text: '', list: { type: 'list', ordered: true, items: [{ text: 'One' }, { text: 'Two' }] } }]
+  });
+
+  assert.equal(markdown, '- 1. One\n  2. Two');
+});
+
+test('blocks are added whole while they fit', () => {
+  const { markdown, truncated } = serializer.serialize([
+    { type: 'heading', level: 2, text: 'Title' },
+    { type: 'paragraph', text: 'First paragraph.' },
+    { type: 'paragraph', text: 'Second paragraph that does not fit.' }
+  ], { maxChars: 30 });
+
+  assert.equal(markdown, '## Title\n\nFirst paragraph.');
+  assert.equal(truncated, true);
+});
+
+test('page text is escaped so emphasis, code and links stay literal', () => {
+  assert.equal(escapeMarkdownText('2 * 3 = `six` [sic] <b> ~~x~~ a\\b'), '2 \\* 3 = \\`six\\` \\[sic\\] \\<b> \\~\\~x\\~\\~ a\\\\b');
+  assert.equal(escapeMarkdownText('_start_ and snake_case'), '\\_start\\_ and snake_case');
+});
+
+test('lines that would start a block are escaped', () => {
+  assert.equal(escapeBlockStarts('# Not a heading'), '\\# Not a heading');
+  assert.equal(escapeBlockStarts('- not a list\n+ nor this'), '\\- not a list\n\\+ nor this');
+  assert.equal(escapeBlockStarts('1. Not ordered\n2024) either'), '1\\. Not ordered\n2024\\) either');
+  assert.equal(escapeBlockStarts('> not quoted'), '\\> not quoted');
+  assert.equal(escapeBlockStarts('==='), '\\===');
+  assert.equal(escapeBlockStarts('#hashtag, -5 degrees and 3.14'), '#hashtag, -5 degrees and 3.14');
+});
+
+test('paragraphs, blockquotes and list items escape their line starts', () => {
+  assert.equal(serializer.serializeBlock({ type: 'paragraph', text: '1. First\n# Second' }), '1\\. First\n\\# Second');
+  assert.equal(serializer.serializeBlock({ type: 'blockquote', text: '> nested?' }), '> \\> nested?');
+  assert.equal(
+    serializer.serializeBlock({ type: 'list', ordered: false, items: [{ text: '1. looks ordered' }] }),
+    '- 1\\. looks ordered'
+  );
+});
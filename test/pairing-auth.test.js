@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import {
+  AUTH_ROLES,
+  computeAuthProof,
+  generateNonce,
+  generatePairingToken,
+  verifyAuthProof
+} from '../src/shared/utils/pairing-auth.js';
+
+test('tokens and nonces are random hex strings', () => {
+  assert.match(generatePairingToken(), /^[0-9a-f]{48}$/);
+  assert.match(generateNonce(), /^[0-9a-f]{32}$/);
+  assert.notEqual(generatePairingToken(), generatePairingToken());
+});
+
+test('the proof is HMAC-SHA256(token, role:nonce) in hex', async () => {
+  const expected = createHmac('sha256', 'secret-token').update('alice:abc123').digest('hex');
+
+  assert.equal(await computeAuthProof('secret-token', AUTH_ROLES.ALICE, 'abc123'), expected);
+});
+
+test('the role is part of the proof, so proofs cannot be reflected', async () => {
+  const alice = await computeAuthProof('secret-token', AUTH_ROLES.ALICE, 'abc123');
+  const extension = await computeAuthProof('secret-token', AUTH_ROLES.EXTENSION, 'abc123');
+
+  assert.notEqual(alice, extension);
+  assert.equal(await verifyAuthProof('secret-token', AUTH_ROLES.EXTENSION, 'abc123', alice), false);
+});
+
+test('verification accepts only the matching proof', async () => {
+  const nonce = generateNonce();
+  const proof = await computeAuthProof('secret-token', AUTH_ROLES.ALICE, nonce);
+
+  assert.equal(await verifyAuthProof('secret-token', AUTH_ROLES.ALICE, nonce, proof), true);
+  assert.equal(await verifyAuthProof('other-token', AUTH_ROLES.ALICE, nonce, proof), false);
+  assert.equal(await verifyAuthProof('secret-token', AUTH_ROLES.ALICE, generateNonce(), proof), false);
+  assert.equal(await verifyAuthProof('secret-token', AUTH_ROLES.ALICE, nonce, proof.slice(1)), false);
+  assert.equal(await verifyAuthProof('secret-token', AUTH_ROLES.ALICE, nonce, undefined), false);
+  assert.equal(await verifyAuthProof('', AUTH_ROLES.ALICE, nonce, proof), false);
+});
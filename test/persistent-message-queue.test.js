@@ -0,0 +1,121 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PersistentMessageQueue } from '../src/background/websocket/persistent-message-queue.js';
+
+function createQueue(options = {}) {
+  const queue = new PersistentMessageQueue({
+    defaultTtl: 1000,
+    typeTtl: { context_response: 100 },
+    ...options
+  });
+  // Persisting is covered separately; keep timers out of the other tests
+  queue.schedulePersist = () => {};
+  return queue;
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  delete globalThis.chrome;
+});
+
+test('messages expire after their type TTL', () => {
+  let now = 1000;
+  mock.method(Date, 'now', () => now);
+  const queue = createQueue();
+
+  queue.enqueue({ type: 'context_response', requestId: 'a', data: {} });
+  queue.enqueue({ type: 'notify', requestId: 'b', data: {} });
+  assert.equal(queue.length, 2);
+
+  now += 100;
+  assert.deepEqual(queue.drain().map(message => message.requestId), ['b']);
+});
+
+test('an explicit ttl overrides the type TTL', () => {
+  let now = 1000;
+  mock.method(Date, 'now', () => now);
+  const queue = createQueue();
+
+  queue.enqueue({ type: 'context_response', requestId: 'a' }, { ttl: 5000 });
+  now += 4999;
+  assert.equal(queue.length, 1);
+});
+
+test('replies are deduped by type and requestId', () => {
+  const queue = createQueue();
+
+  queue.enqueue({ type: 'context_response', requestId: 'a', data: { n: 1 } });
+  queue.enqueue({ type: 'context_response', requestId: 'a', data: { n: 2 } });
+  queue.enqueue({ type: 'links_response', requestId: 'a', data: {} });
+
+  const messages = queue.drain();
+  assert.equal(messages.length, 2);
+  assert.deepEqual(messages[1].data, {});
+  assert.deepEqual(messages.find(message => message.type === 'context_response').data, { n: 2 });
+});
+
+test('context actions are deduped by content, ignoring ids and timestamps', () => {
+  const queue = createQueue();
+  const action = (requestId, timestamp) => ({
+    type: 'context_action',
+    requestId: requestId,
+    data: { action: 'fact_check', text: 'The sky is green', timestamp: timestamp },
+    timestamp: timestamp
+  });
+
+  queue.enqueue(action('x', '2024-01-01T00:00:00Z'));
+  queue.enqueue(action('y', '2024-01-01T00:00:01Z'));
+
+  assert.deepEqual(queue.drain().map(message => message.requestId), ['y']);
+});
+
+test('the oldest messages are dropped when the queue is full', () => {
+  const queue = createQueue({ maxSize: 2 });
+
+  for (const requestId of ['a', 'b', 'c']) {
+    queue.enqueue({ type: 'notify', requestId: requestId });
+  }
+
+  assert.deepEqual(queue.drain().map(message => message.requestId), ['b', 'c']);
+});
+
+test('requeued messages go back in front of newer ones', () => {
+  const queue = createQueue();
+
+  queue.enqueue({ type: 'notify', requestId: 'new' });
+  queue.requeue([{ type: 'notify', requestId: 'old' }]);
+
+  assert.deepEqual(queue.drain().map(message => message.requestId), ['old', 'new']);
+});
+
+test('only the newest entries within maxPersistBytes are persisted', async () => {
+  const stored = {};
+  globalThis.chrome = {
+    storage: { session: { set: async (items) => Object.assign(stored, items) } }
+  };
+  const queue = createQueue({ storageArea: 'session', storageKey: 'queue', maxPersistBytes: 600 });
+  queue.loaded = true;
+
+  queue.enqueue({ type: 'notify', requestId: 'small-1' });
+  queue.enqueue({ type: 'context_response', requestId: 'huge', data: { text: 'x'.repeat(1000) } });
+  queue.enqueue({ type: 'notify', requestId: 'small-2' });
+  await queue.persist();
+
+  assert.deepEqual(stored.queue.map(entry => entry.message.requestId), ['small-1', 'small-2']);
+  assert.equal(queue.length, 3);
+});
+
+test('a failed persist is logged', async () => {
+  globalThis.chrome = {
+    storage: { session: { set: async () => { throw new Error('QUOTA_BYTES quota exceeded'); } } }
+  };
+  const warn = mock.method(console, 'warn', () => {});
+  const queue = createQueue({ storageArea: 'session' });
+  queue.loaded = true;
+
+  queue.enqueue({ type: 'notify', requestId: 'a' });
+  await queue.persist();
+
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments.join(' '), /quota exceeded/);
+});
@@ -0,0 +1,78 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReconnectPolicy, BREAKER_STATES } from '../src/background/websocket/reconnect-policy.js';
+
+function createPolicy(options = {}) {
+  return new ReconnectPolicy({
+    baseDelay: 1000,
+    maxDelay: 8000,
+    jitter: 0,
+    maxAttempts: 0,
+    breakerThreshold: 6,
+    probeInterval: 60000,
+    ...options
+  });
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('delays back off exponentially up to maxDelay', () => {
+  const policy = createPolicy();
+  const delays = [];
+  for (let i = 0; i < 5; i++) {
+    delays.push(policy.nextDelay());
+    policy.recordAttempt();
+  }
+
+  assert.deepEqual(delays, [1000, 2000, 4000, 8000, 8000]);
+});
+
+test('jitter stays within its spread', () => {
+  const policy = createPolicy({ jitter: 0.5 });
+
+  mock.method(Math, 'random', () => 0);
+  assert.equal(policy.nextDelay(), 500);
+  policy.reset();
+
+  mock.method(Math, 'random', () => 0.999999);
+  assert.ok(Math.abs(policy.nextDelay() - 1500) <= 1);
+});
+
+test('the breaker opens after the threshold and probes at probeInterval', () => {
+  const policy = createPolicy({ breakerThreshold: 3 });
+
+  policy.nextDelay();
+  policy.nextDelay();
+  assert.equal(policy.getState().breakerState, BREAKER_STATES.CLOSED);
+
+  assert.equal(policy.nextDelay(), 60000);
+  assert.equal(policy.getState().breakerState, BREAKER_STATES.OPEN);
+
+  policy.recordAttempt();
+  assert.equal(policy.getState().breakerState, BREAKER_STATES.HALF_OPEN);
+});
+
+test('a success closes the breaker and restarts the backoff', () => {
+  const policy = createPolicy({ breakerThreshold: 2 });
+  policy.nextDelay();
+  policy.nextDelay();
+  policy.recordAttempt();
+
+  policy.recordSuccess();
+  assert.equal(policy.getState().breakerOpen, false);
+  assert.equal(policy.nextDelay(), 1000);
+});
+
+test('the policy gives up after maxAttempts', () => {
+  const policy = createPolicy({ maxAttempts: 2 });
+
+  for (let i = 0; i < 2; i++) {
+    assert.notEqual(policy.nextDelay(), null);
+    policy.recordAttempt();
+  }
+
+  assert.equal(policy.nextDelay(), null);
+  assert.equal(policy.getState().gaveUp, true);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SemanticChunker } from '../src/shared/utils/semantic-chunker.js';
+
+const STREAM_OPTIONS = {
+  maxSize: 200,
+  targetSize: 200,
+  minSize: 100,
+  overlap: 0,
+  preserveStructure: false,
+  includeMetadata: false,
+  lossless: true
+};
+
+function samplePage() {
+  return Array.from({ length: 60 }, (_, index) =>
+    index % 7 === 0
+      ? `\n\n## Section ${index}\n\nShort.\n\n`
+      : `Sentence number ${index} has a few words in it.  `
+  ).join('');
+}
+
+test('lossless chunks join back into the source text', () => {
+  const text = samplePage();
+  const chunks = new SemanticChunker().chunkText(text, STREAM_OPTIONS);
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.map(chunk => chunk.text).join(''), text);
+});
+
+test('lossless chunk offsets are contiguous and match their text', () => {
+  const text = samplePage();
+  const chunks = new SemanticChunker().chunkText(text, STREAM_OPTIONS);
+
+  let offset = 0;
+  for (const chunk of chunks) {
+    assert.equal(chunk.startIndex, offset);
+    assert.equal(chunk.text, text.substring(chunk.startIndex, chunk.endIndex));
+    offset = chunk.endIndex;
+  }
+  assert.equal(offset, text.length);
+});
+
+test('lossless chunking keeps short chunks between headings', () => {
+  const text = `${'A long opening sentence. '.repeat(8)}\n\n## Heading\n\nTiny.\n\n## Next\n\n${'Closing words here. '.repeat(8)}`;
+  const chunks = new SemanticChunker().chunkText(text, STREAM_OPTIONS);
+
+  assert.ok(chunks.some(chunk => chunk.text.length < STREAM_OPTIONS.minSize));
+  assert.equal(chunks.map(chunk => chunk.text).join(''), text);
+});
+
+test('lossless chunking keeps whitespace-only text', () => {
+  const chunks = new SemanticChunker().chunkText('\n\n  ', STREAM_OPTIONS);
+
+  assert.deepEqual(chunks.map(chunk => chunk.text), ['\n\n  ']);
+});
+
+test('default chunking still trims and drops chunks under minSize', () => {
+  const text = samplePage();
+  const chunks = new SemanticChunker().chunkText(text, { ...STREAM_OPTIONS, lossless: false });
+
+  for (const chunk of chunks) {
+    assert.equal(chunk.text, chunk.text.trim());
+    assert.ok(chunk.text.length >= STREAM_OPTIONS.minSize);
+  }
+  assert.deepEqual(new SemanticChunker().chunkText('   '), []);
+});
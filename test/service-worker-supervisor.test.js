@@ -0,0 +1,82 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ServiceWorkerSupervisor } from '../src/background/service-worker-supervisor.js';
+
+const HEARTBEAT_INTERVAL = 20000;
+
+function createSupervisor(storedState) {
+  const items = { lifecycle: storedState };
+  globalThis.chrome = {
+    storage: {
+      session: {
+        get: async () => ({ ...items }),
+        set: async (values) => Object.assign(items, values)
+      }
+    }
+  };
+
+  const supervisor = new ServiceWorkerSupervisor(
+    { isConnected: false },
+    { storageKey: 'lifecycle', heartbeatInterval: HEARTBEAT_INTERVAL, heartbeatGrace: 5000 }
+  );
+  return { supervisor, items };
+}
+
+async function startAndStop(supervisor) {
+  await supervisor.start('load');
+  supervisor.destroy();
+  return supervisor.getStats();
+}
+
+afterEach(() => {
+  delete globalThis.chrome;
+});
+
+test('a recent heartbeat from a connected worker counts as an eviction', async () => {
+  const { supervisor } = createSupervisor({
+    lastHeartbeat: Date.now() - HEARTBEAT_INTERVAL,
+    connected: true,
+    wakeCount: 1,
+    evictionCount: 0
+  });
+
+  const stats = await startAndStop(supervisor);
+  assert.equal(stats.wakeCount, 2);
+  assert.equal(stats.evictionCount, 1);
+});
+
+test('an old heartbeat, as after a restart, is not an eviction', async () => {
+  const { supervisor } = createSupervisor({
+    lastHeartbeat: Date.now() - 10 * 60000,
+    connected: true,
+    wakeCount: 1,
+    evictionCount: 0
+  });
+
+  assert.equal((await startAndStop(supervisor)).evictionCount, 0);
+});
+
+test('a worker that was not connected is not counted as evicted', async () => {
+  const { supervisor } = createSupervisor({
+    lastHeartbeat: Date.now() - 1000,
+    connected: false,
+    wakeCount: 1,
+    evictionCount: 0
+  });
+
+  assert.equal((await startAndStop(supervisor)).evictionCount, 0);
+});
+
+test('a clean suspend clears the heartbeat for the next worker', async () => {
+  const { supervisor, items } = createSupervisor(undefined);
+  supervisor.connectionManager.isConnected = true;
+  await supervisor.start('load');
+  await supervisor.suspend();
+
+  assert.equal(items.lifecycle.lastHeartbeat, null);
+
+  const next = new ServiceWorkerSupervisor({ isConnected: false }, { storageKey: 'lifecycle' });
+  const stats = await startAndStop(next);
+  assert.equal(stats.wakeCount, 2);
+  assert.equal(stats.evictionCount, 0);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCommandDescriptor, validateMessage, validateValue } from '../src/shared/types/simplified-schemas.js';
+
+test('frames that are not objects are rejected', () => {
+  for (const frame of [null, 42, 'get_context', [], true]) {
+    const invalid = validateMessage(frame);
+    assert.ok(invalid, `expected ${JSON.stringify(frame)} to be rejected`);
+    assert.equal(invalid.field, '');
+  }
+});
+
+test('a message without a type is rejected', () => {
+  assert.equal(validateMessage({ requestId: 'a' }).field, 'type');
+  assert.equal(validateMessage({ type: '' }).field, 'type');
+});
+
+test('a bad option names its field', () => {
+  const invalid = validateMessage({
+    type: 'get_context',
+    requestId: 'req-1',
+    options: { maxTokens: 'abc' }
+  });
+
+  assert.equal(invalid.field, 'options.maxTokens');
+});
+
+test('a valid request passes and unknown properties are allowed', () => {
+  assert.equal(validateMessage({
+    type: 'get_context',
+    requestId: 'req-1',
+    options: { maxTokens: 500, format: 'text', futureOption: true }
+  }), null);
+});
+
+test('requests need a requestId', () => {
+  assert.equal(validateMessage({ type: 'get_links' }).field, 'requestId');
+});
+
+test('types without a schema are left to the dispatcher', () => {
+  assert.equal(validateMessage({ type: 'get_headings', requestId: 'req-1' }), null);
+});
+
+test('validateValue checks enums and integer bounds', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: ['text', 'markdown'] },
+      count: { type: 'integer', minimum: 1, maximum: 5 }
+    }
+  };
+
+  assert.equal(validateValue({ format: 'html' }, schema).field, 'format');
+  assert.equal(validateValue({ count: 6 }, schema).field, 'count');
+  assert.equal(validateValue({ count: 1.5 }, schema).field, 'count');
+  assert.equal(validateValue({ format: 'text', count: 5 }, schema), null);
+});
+
+test('a well-formed content command descriptor passes', () => {
+  assert.equal(validateCommandDescriptor({
+    type: 'get_headings',
+    responseType: 'headings_response',
+    options: { maxHeadings: { type: 'integer', minimum: 1 } }
+  }), null);
+  assert.equal(validateCommandDescriptor({ type: 'get_outline', responseType: null }), null);
+  assert.equal(validateCommandDescriptor({ type: 'get_outline', responseType: 'command_response' }), null);
+});
+
+test('content commands cannot take over built-in message types', () => {
+  assert.equal(validateCommandDescriptor({ type: 'get_context' }).field, 'type');
+  assert.equal(validateCommandDescriptor({ type: 'hello' }).field, 'type');
+  assert.equal(validateCommandDescriptor({ type: 'Get-Headings' }).field, 'type');
+  assert.equal(validateCommandDescriptor({ type: 'get_outline', responseType: 'context_response' }).field, 'responseType');
+  assert.equal(validateCommandDescriptor({ type: 'get_outline', responseType: 'pong' }).field, 'responseType');
+});
+
+test('content command option schemas are checked', () => {
+  assert.equal(validateCommandDescriptor(null).field, '');
+  assert.equal(validateCommandDescriptor({ type: 'get_outline', options: [] }).field, 'options');
+  assert.equal(validateCommandDescriptor({
+    type: 'get_outline',
+    options: { depth: { type: 'whole number' } }
+  }).field, 'options.depth.type');
+  assert.equal(validateCommandDescriptor({
+    type: 'get_outline',
+    options: { depth: { type: 'integer', pattern: '^[0-9]+$' } }
+  }).field, 'options.depth.pattern');
+  assert.equal(validateCommandDescriptor({
+    type: 'get_outline',
+    options: { tags: { type: 'array', items: { type: 'string', minLength: '1' } } }
+  }).field, 'options.tags.items.minLength');
+});
+
+test('batch concurrency is bounded', () => {
+  const batch = (concurrency) => validateMessage({
+    type: 'get_context_batch',
+    requestId: 'req-1',
+    options: { concurrency: concurrency }
+  });
+
+  assert.equal(batch(3), null);
+  assert.equal(batch(0).field, 'options.concurrency');
+  assert.equal(batch(20).field, 'options.concurrency');
+});
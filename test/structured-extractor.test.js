@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StructuredExtractor } from '../src/content/modules/structured-extractor.js';
+
+const extractor = new StructuredExtractor();
+
+test('cutting a list whose first item only holds a nested list keeps the nested items', () => {
+  const list = {
+    type: 'list',
+    ordered: false,
+    items: [{
+      text: '',
+      list: { type: 'list', ordered: true, items: [{ text: 'Nested item text' }, { text: 'Another' }] }
+    }]
+  };
+
+  const cut = extractor.cutBlock(list, 10);
+  assert.equal(cut.ordered, true);
+  assert.deepEqual(cut.items, [{ text: 'Nested ite' }]);
+});
+
+test('cutting a list item spends what is left on its nested list', () => {
+  const list = {
+    type: 'list',
+    ordered: false,
+    items: [{ text: 'Parent', list: { type: 'list', ordered: false, items: [{ text: 'Child text' }] } }]
+  };
+
+  const cut = extractor.cutBlock(list, 10);
+  assert.equal(cut.items[0].text, 'Parent');
+  assert.deepEqual(cut.items[0].list.items, [{ text: 'Chil' }]);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeEndpoint,
+  normalizeSubprotocols,
+  normalizeWebSocketUrl,
+  orderEndpoints
+} from '../src/shared/utils/websocket-url.js';
+
+test('ws and wss URLs keep their path and query', () => {
+  assert.equal(normalizeWebSocketUrl(' wss://example.com/alice?v=1 '), 'wss://example.com/alice?v=1');
+  assert.equal(normalizeWebSocketUrl('ws://localhost:5421'), 'ws://localhost:5421/');
+});
+
+test('other schemes, fragments and garbage are rejected', () => {
+  assert.throws(() => normalizeWebSocketUrl('http://example.com'), /ws:\/\/ or wss:\/\//);
+  assert.throws(() => normalizeWebSocketUrl('ws://example.com/#x'), /fragment/);
+  assert.throws(() => normalizeWebSocketUrl('not a url'), /Invalid WebSocket URL/);
+  assert.throws(() => normalizeWebSocketUrl(''), /required/);
+});
+
+test('subprotocols are split, trimmed and checked', () => {
+  assert.deepEqual(normalizeSubprotocols('alice.v1, json'), ['alice.v1', 'json']);
+  assert.deepEqual(normalizeSubprotocols(undefined), []);
+  assert.throws(() => normalizeSubprotocols('bad protocol'), /Invalid WebSocket subprotocol/);
+  assert.throws(() => normalizeSubprotocols(['json', 'json']), /unique/);
+});
+
+test('endpoint errors name the endpoint', () => {
+  assert.throws(() => normalizeEndpoint({ name: 'Home', url: 'http://x' }), /^Error: Home: /);
+  assert.equal(normalizeEndpoint({ url: 'ws://a' }, 2).name, 'Endpoint 3');
+});
+
+test('the preferred endpoint comes first, then by priority', () => {
+  const endpoints = [
+    { id: 'a', priority: 2 },
+    { id: 'b', priority: 0 },
+    { id: 'c', priority: 1 }
+  ];
+
+  assert.deepEqual(orderEndpoints(endpoints, 'a').map(endpoint => endpoint.id), ['a', 'b', 'c']);
+  assert.deepEqual(orderEndpoints(endpoints, null).map(endpoint => endpoint.id), ['b', 'c', 'a']);
+});